@@ -6,181 +6,701 @@
 //   Most listened song by time
 //   Most listened artist by count
 //   Most listened artist by time
-//   Most listened song on Friday nights (by count and time)
+//   Most listened song on Friday nights and other time windows (by count and time)
 //   Longest streak song
 //   Everyday songs
 //   Top genres
 // */
 
-import { getListenEvents, getSong } from "./data.mjs";
-import { updateTable } from "./script.mjs";
+import {
+  getListenEvents,
+  getSong,
+  getSongs,
+  getTimeZone,
+  getUserIDs,
+} from "./dataSource.mjs";
+import {
+  updateComparisonTable,
+  updateDataIssues,
+  updateHeatmap,
+  updatePlaylist,
+  updateRecommendations,
+  updateTable,
+  updateTransitions,
+} from "./script.mjs";
+import { computeUserStats } from "./stats.mjs";
+import { compareUsers } from "./compare.mjs";
+import { rankNeighbours, tasteSimilarity } from "./similarity.mjs";
+import { recommendSongs } from "./recommend.mjs";
+import { computeTransitions } from "./transitions.mjs";
+import { generatePlaylist } from "./playlists.mjs";
+import { FRIDAY_NIGHT } from "./timeWindows.mjs";
+import { latestEventDate, toDayKey } from "./dateRange.mjs";
+import { checkListenEvents } from "./validation.mjs";
+import { convertEvents } from "./timeZones.mjs";
+
+export { computeUserStats };
 
 /**
  * Processes user listening data and extracts key insights.
  * Computes statistics such as most listened songs, artists, and genres.
- * Updates the table with the results.
+ * Updates the table with the results. Listens that `checkListenEvents` rejects
+ * are left out, and every issue it finds is passed to `updateDataIssues`.
  * @param {string} userID - The ID of the user whose data is being processed.
+ * @param {object} [options] - Passed on to `computeUserStats`, e.g. `{ range: "last-7-days" }`.
+ *   `options.similarity` is passed on to `rankNeighbours`. `options.timeZone`
+ *   is the zone days and hours are counted in: "listener" (the default) for
+ *   each user's own time zone, or an IANA time zone such as the viewer's.
+ *   Relative ranges count back from the user's latest listen for every user,
+ *   so neighbours and recommendations compare the same days.
  */
 
-export function processUserData(userID) {
-  // Retrieve the user's listening events
-  const events = getListenEvents(userID);
+export function processUserData(userID, options = {}) {
+  // Retrieve the user's listening events, leaving out those that cannot be used
+  const { events: usable, issues } = checkListenEvents(
+    getListenEvents(userID) || [],
+    getSong
+  );
+  updateDataIssues(issues);
+  const events = inTimeZone(userID, usable, options);
 
   // If no listening history is found, update the table with a message and exit
-  if (!events || events.length === 0) {
+  if (events.length === 0) {
     updateTable();
+    updateHeatmap();
+    updateTransitions();
+    updateRecommendations();
     return;
   }
 
-  // ------------------------- Initialize Counters & Data Structures -------------------------
-  // These objects will store the counts and time durations for songs, artists, and genres.
-  let songCount = {},
-    songTime = {},
-    artistCount = {},
-    artistTime = {},
-    genreCount = {};
-
-  // Additional tracking for specific patterns like Friday night songs, song streaks, etc.
-  let fridayNightSongs = {},
-    fridayNightTime = {},
-    songDays = {};
-
-  let maxStreak = 0,
-    currentStreak = 1,
-    streakSongs = [],
-    prevSong = "";
-
-  // Count the total number of unique days the user listened to music
-  const totalDays = new Set(
-    events.map((x) => new Date(x.timestamp).toDateString())
-  ).size;
-
-  // ------------------------------ Process Each Listening Event ------------------------------
-  for (let event of events) {
-    let song = getSong(event.song_id); // Retrieve song details
-    let songKey = `${song.artist} - ${song.title}`; // Create a unique key for the song
-
-    // Count how many times each song was played
-    songCount[songKey] = (songCount[songKey] || 0) + 1;
-    songTime[songKey] = (songTime[songKey] || 0) + song.duration_seconds;
-
-    // Count how many times each artist was played and total listening time
-    artistCount[song.artist] = (artistCount[song.artist] || 0) + 1;
-    artistTime[song.artist] =
-      (artistTime[song.artist] || 0) + song.duration_seconds;
-
-    // Count genre popularity
-    genreCount[song.genre] = (genreCount[song.genre] || 0) + 1;
-
-    // Identify songs played on Friday nights (Friday 17:00 - Saturday 03:59)
-    let date = new Date(event.timestamp);
-    let day = date.getDay(),
-      hour = date.getHours();
-    if ((day === 5 && hour >= 17) || (day === 6 && hour < 4)) {
-      fridayNightSongs[songKey] = (fridayNightSongs[songKey] || 0) + 1;
-      fridayNightTime[songKey] =
-        (fridayNightTime[songKey] || 0) + song.duration_seconds;
-    }
+  options = withReferenceDate(options, events);
+  const stats = computeUserStats(events, getSong, options);
+
+  // Nothing was played inside the selected date range
+  if (stats.eventCount === 0) {
+    updateTable();
+    updateHeatmap();
+    updateTransitions();
+    updateRecommendations();
+    return;
+  }
 
-    // Track which songs were played every day
-    songDays[songKey] = songDays[songKey] || new Set();
-    songDays[songKey].add(date.toDateString());
+  // Rank the other listeners by how close their taste is, and suggest what they play
+  const statsByUser = computeAllUserStats(options, { [userID]: stats });
+  const neighbours = rankNeighbours(userID, statsByUser, options.similarity);
+  const recommendations = recommendSongs(userID, statsByUser, {
+    similarity: options.similarity,
+    catalogue: getSongs(),
+  });
 
-    // Track longest consecutive listening streak of the same song
-    if (songKey === prevSong) {
-      currentStreak++;
-    } else {
-      currentStreak = 1;
-      prevSong = songKey;
-    }
-    if (currentStreak > maxStreak) {
-      maxStreak = currentStreak;
-      streakSongs = [songKey];
-    } else if (currentStreak === maxStreak) {
-      streakSongs.push(songKey);
+  // What the user tends to play next within a session
+  const transitions = computeTransitions(stats, { limit: options.topN });
+
+  // -------------------- Update the UI with the computed results --------------------------
+  updateTable(resultRows(stats, transitions, neighbours));
+  updateHeatmap(stats.heatmap);
+  updateTransitions(transitions);
+  updateRecommendations(recommendations);
+}
+
+/**
+ * Builds the results table rows of several users, as shown by `processUserData`.
+ * @param {string[]} userIDs - The users to include, e.g. every user from `getUserIDs`.
+ * @param {object} [options] - The same options as `processUserData`; each
+ *   user's neighbours are found over that user's date range.
+ * @returns {Object<string, object[]>} Rows keyed by user ID; users without
+ *   listens in the date range get no rows.
+ */
+export function collectResults(userIDs, options = {}) {
+  // Every user's statistics, once per reference date the users need
+  const statsByDate = new Map();
+  const statsFor = (userOptions) => {
+    const key = userOptions.referenceDate?.getTime();
+    if (!statsByDate.has(key)) {
+      statsByDate.set(key, computeAllUserStats(userOptions));
     }
-  }
+    return statsByDate.get(key);
+  };
 
-  // ------------------------------ Compute Final Results ------------------------------
-  // Determine the most played song, artist, and top genres
-  let mostPlayedSong = Object.keys(songCount).reduce(
-    (a, b) => (songCount[a] >= songCount[b] ? a : b),
-    ""
-  );
-  let mostPlayedSongByTime = Object.keys(songTime).reduce(
-    (a, b) => (songTime[a] >= songTime[b] ? a : b),
-    ""
+  return Object.fromEntries(
+    userIDs.map((userID) => {
+      const events = getUsableEvents(userID, options);
+      const userOptions = withReferenceDate(options, events);
+      const statsByUser = statsFor(userOptions);
+      const stats =
+        statsByUser[userID] || computeUserStats(events, getSong, userOptions);
+      if (stats.eventCount === 0) {
+        return [userID, []];
+      }
+
+      const transitions = computeTransitions(stats, { limit: options.topN });
+      const neighbours = rankNeighbours(
+        userID,
+        { ...statsByUser, [userID]: stats },
+        options.similarity
+      );
+      return [userID, resultRows(stats, transitions, neighbours)];
+    })
   );
-  let mostPlayedArtist = Object.keys(artistCount).reduce(
-    (a, b) => (artistCount[a] >= artistCount[b] ? a : b),
-    ""
+}
+
+/**
+ * A user's listen events as the analytics see them: without the ones
+ * `checkListenEvents` rejects, and in the time zone `options.timeZone` names.
+ * @param {string} userID - The listener.
+ * @param {object} [options] - The same options as `processUserData`.
+ * @returns {object[]} The events, in the order they are listed.
+ */
+export function getUsableEvents(userID, options) {
+  const { events } = checkListenEvents(getListenEvents(userID) || [], getSong);
+  return inTimeZone(userID, events, options);
+}
+
+// Relative date ranges ("last-7-days") count back from the latest of these
+// events, for every user the options are used for
+function withReferenceDate(options, events) {
+  return options.referenceDate
+    ? options
+    : { ...options, referenceDate: latestEventDate(events) };
+}
+
+// Rewrites a user's events to the wall-clock time `options.timeZone` names
+function inTimeZone(userID, events, options = {}) {
+  const listenerTimeZone = getTimeZone(userID);
+  return convertEvents(events, {
+    listenerTimeZone,
+    timeZone:
+      !options.timeZone || options.timeZone === "listener"
+        ? listenerTimeZone
+        : options.timeZone,
+  });
+}
+
+// Every row of the results table, in display order
+function resultRows(stats, transitions, neighbours) {
+  return [
+    ...formatResults(stats),
+    ...formatTransitions(transitions),
+    ...formatNeighbours(neighbours),
+  ];
+}
+
+/**
+ * Computes statistics for every user from `getUserIDs`, plus any already known.
+ * @param {object} [options] - Passed on to `computeUserStats`. Set
+ *   `referenceDate` for relative ranges to cover the same days for everyone.
+ * @param {Object<string, object>} [known] - Statistics already computed with
+ *   the same options, keyed by user ID, so they are not computed twice.
+ * @returns {Object<string, object>} Statistics keyed by user ID.
+ */
+export function computeAllUserStats(options = {}, known = {}) {
+  const computed = getUserIDs()
+    .filter((userID) => !known[userID])
+    .map((userID) => [
+      userID,
+      computeUserStats(getUsableEvents(userID, options), getSong, options),
+    ]);
+
+  return { ...Object.fromEntries(computed), ...known };
+}
+
+/**
+ * Builds the "Most common transition" row, with the top transitions in its
+ * leaderboard.
+ * @param {{top: object[]}} transitions - From `computeTransitions`.
+ * @returns {object[]} The row, or nothing when no song ever followed another.
+ */
+export function formatTransitions({ top }) {
+  if (top.length === 0) {
+    return [];
+  }
+
+  const describe = ({ from, to }) => `${from} → ${to}`;
+  return [
+    {
+      question: "Most common transition",
+      answer: top
+        .filter(({ count }) => count === top[0].count)
+        .map(describe)
+        .join(", "),
+      score: formatTimes(top[0].count),
+      leaderboard: top.map((transition, index) => ({
+        rank: index + 1,
+        key: describe(transition),
+        detail: `${formatTimes(transition.count)} · ${formatShare(
+          transition.probability
+        )} of plays after ${transition.from}`,
+      })),
+    },
+  ];
+}
+
+/**
+ * Builds the "Most similar listener" row, with every other listener ranked in
+ * its leaderboard.
+ * @param {Array<{userID: string, similarity: number}>} neighbours - From `rankNeighbours`.
+ * @returns {object[]} The row, or nothing when there is no one to compare with.
+ */
+export function formatNeighbours(neighbours) {
+  if (neighbours.length === 0) {
+    return [];
+  }
+
+  const best = neighbours[0].similarity;
+  return [
+    {
+      question: "Most similar listener",
+      answer: neighbours
+        .filter(({ similarity }) => similarity === best)
+        .map(({ userID }) => `User ${userID}`)
+        .join(", "),
+      score: `${formatShare(best)} similar`,
+      leaderboard: neighbours.map(({ userID, similarity }, index) => ({
+        rank: index + 1,
+        key: `User ${userID}`,
+        detail: `${formatShare(similarity)} similar`,
+      })),
+    },
+  ];
+}
+
+/**
+ * Answers every question for two users side by side, followed by overlap
+ * metrics, and updates the comparison table with the results.
+ * @param {string[]} userIDs - The two users to compare.
+ * @param {object} [options] - Passed on to `computeUserStats` for both users.
+ *   Relative ranges count back from the later of the two latest listens, so
+ *   both columns cover the same days.
+ */
+export function processComparison(userIDs, options = {}) {
+  const eventsList = userIDs.map((userID) => getUsableEvents(userID, options));
+  const sharedOptions = withReferenceDate(options, eventsList.flat());
+  const statsList = eventsList.map((events) =>
+    computeUserStats(events, getSong, sharedOptions)
   );
-  let mostPlayedArtistByTime = Object.keys(artistTime).reduce(
-    (a, b) => (artistTime[a] >= artistTime[b] ? a : b),
-    ""
+
+  updateComparisonTable(
+    formatComparison(statsList, options.similarity),
+    userIDs
   );
-  let topGenres = Object.keys(genreCount)
-    .sort((a, b) => genreCount[b] - genreCount[a])
-    .slice(0, 3);
-
-  // Find songs played every single day
-  let everydaySongs =
-    Object.keys(songDays)
-      .filter((song) => songDays[song].size === totalDays)
-      .join(", ") || "";
-
-  // Identify the most played song on Friday nights
-  let topFridaySong = Object.keys(fridayNightSongs).reduce(
-    (a, b) => (fridayNightSongs[a] >= fridayNightSongs[b] ? a : b),
-    ""
+}
+
+/**
+ * Generates a playlist from a user's listening history and shows it.
+ * @param {string} userID - The user to build the playlist for.
+ * @param {string} type - A playlist type ID from `PLAYLIST_TYPES`.
+ * @param {object} [options] - `range` and `timeZone` are used to pick the
+ *   listening history (see `processUserData`); the rest is passed on to
+ *   `generatePlaylist`, e.g. `{ targetMinutes: 60 }`.
+ * @returns {object} The playlist.
+ */
+export function processPlaylist(userID, type, options = {}) {
+  const stats = computeUserStats(getUsableEvents(userID, options), getSong, {
+    range: options.range,
+    timeWindows: [FRIDAY_NIGHT],
+  });
+  const playlist = generatePlaylist(stats, type, options);
+
+  updatePlaylist(playlist);
+  return playlist;
+}
+
+/**
+ * Builds the comparison rows for two users' statistics. Questions answered
+ * for either user get one answer per user ("—" when missing); overlap metrics
+ * get a single answer covering both.
+ * @param {object[]} statsList - `computeUserStats` results for the two users.
+ * @param {object} [similarityOptions] - The measure behind the similarity
+ *   score, passed on to `tasteSimilarity`.
+ * @returns {Array<{question: string, answers?: string[], answer?: string, score?: string}>}
+ */
+export function formatComparison(statsList, similarityOptions = {}) {
+  const resultsList = statsList.map(formatResults);
+  const questions = new Set(
+    resultsList.flat().map((result) => comparisonKey(result.question))
   );
-  let topFridaySongByTime = Object.keys(fridayNightTime).reduce(
-    (a, b) => (fridayNightTime[a] >= fridayNightTime[b] ? a : b),
-    ""
+  const { sharedTopSongs, sharedTopArtists, genreDifferences, genreDistance } =
+    compareUsers(...statsList);
+  const { metric = "cosine", measure = "count" } = similarityOptions;
+
+  const describe = (result) => {
+    if (!result) return "—";
+    return result.score ? `${result.answer} (${result.score})` : result.answer;
+  };
+
+  return [
+    ...[...questions].map((question) => ({
+      question,
+      answers: resultsList.map((results) =>
+        describe(
+          results.find((result) => comparisonKey(result.question) === question)
+        )
+      ),
+    })),
+    {
+      question: "Shared top songs",
+      answer: sharedTopSongs.join(", ") || "None",
+      score: `${sharedTopSongs.length} shared`,
+    },
+    {
+      question: "Shared top artists",
+      answer: sharedTopArtists.join(", ") || "None",
+      score: `${sharedTopArtists.length} shared`,
+    },
+    {
+      question: "Genre distribution difference",
+      answer: genreDifferences
+        .map(
+          ({ genre, shares }) =>
+            `${genre}: ${shares.map(formatShare).join(" vs ")}`
+        )
+        .join(", "),
+      score: `${formatShare(genreDistance)} apart`,
+    },
+    {
+      question: "Similarity score",
+      answer: formatShare(
+        tasteSimilarity(statsList[0], statsList[1], similarityOptions)
+      ),
+      score: `${metric} of ${measure === "time" ? "listening time" : "plays"}`,
+    },
+  ];
+}
+
+// Genre questions are labelled with how many genres were found ("Top 1 Genre"),
+// so two users' genre rows are matched on the ranking mode alone
+function comparisonKey(question) {
+  return question.replace(/^Top \d+ Genres? /, "Top Genres ");
+}
+
+/**
+ * Turns the statistics returned by `computeUserStats` into question/answer
+ * rows for the results table. Metrics without an answer are left out; top-1
+ * questions list every tied winner and the winning score. Questions backed by
+ * a ranking also carry the full `leaderboard`, and questions answered with
+ * songs carry the `songs` themselves.
+ * @param {object} stats - The result of `computeUserStats`.
+ * @returns {Array<{question: string, answer: string, score: string, leaderboard?: object[], songs?: object[]}>}
+ */
+export function formatResults(stats) {
+  const {
+    mostPlayedSong,
+    mostPlayedSongByTime,
+    mostPlayedArtist,
+    mostPlayedArtistByTime,
+    mostPlayedAlbum,
+    mostPlayedAlbumByTime,
+    oldestLovedSong,
+    decades,
+    timeWindows,
+    longestStreak,
+    everydaySongs,
+    almostEveryDaySongs,
+    sessions,
+    dayStreaks,
+    topGenres,
+    topGenresByTime,
+    leaderboards,
+    tallies,
+  } = stats;
+  // Song rows carry their songs so the list can be exported as a playlist
+  const withSongs = (row, songKeys) =>
+    row && { ...row, songs: songKeys.map((key) => stats.songs[key]) };
+  const leaderboardKeys = (leaderboard) => leaderboard.map(({ key }) => key);
+  const almostEveryDayLabel = describeDayThreshold(
+    almostEveryDaySongs.threshold
   );
+  const almostEveryDayTotal = formatDays(almostEveryDaySongs.dayTotal);
 
-  // ------------------------------ Format Results for Display ------------------------------
-  let results = [
-    mostPlayedSong && {
-      question: "Most listened song (count)",
-      answer: mostPlayedSong,
+  return [
+    withSongs(
+      topAnswer(
+        "Most listened song (count)",
+        mostPlayedSong,
+        formatPlays,
+        leaderboards.songs.byCount
+      ),
+      leaderboardKeys(leaderboards.songs.byCount)
+    ),
+    withSongs(
+      topAnswer(
+        "Most listened song (time)",
+        mostPlayedSongByTime,
+        formatDuration,
+        leaderboards.songs.byTime
+      ),
+      leaderboardKeys(leaderboards.songs.byTime)
+    ),
+    topAnswer(
+      "Most listened artist (count)",
+      mostPlayedArtist,
+      formatPlays,
+      leaderboards.artists.byCount
+    ),
+    topAnswer(
+      "Most listened artist (time)",
+      mostPlayedArtistByTime,
+      formatDuration,
+      leaderboards.artists.byTime
+    ),
+    topAnswer(
+      "Most listened album (count)",
+      mostPlayedAlbum,
+      formatPlays,
+      leaderboards.albums.byCount
+    ),
+    topAnswer(
+      "Most listened album (time)",
+      mostPlayedAlbumByTime,
+      formatDuration,
+      leaderboards.albums.byTime
+    ),
+    ...timeWindows.flatMap((windowStats) => [
+      withSongs(
+        topAnswer(
+          `${windowStats.timeWindow.label} song (count)`,
+          windowStats.topSong,
+          formatPlays,
+          windowStats.leaderboards.byCount
+        ),
+        leaderboardKeys(windowStats.leaderboards.byCount)
+      ),
+      withSongs(
+        topAnswer(
+          `${windowStats.timeWindow.label} song (time)`,
+          windowStats.topSongByTime,
+          formatDuration,
+          windowStats.leaderboards.byTime
+        ),
+        leaderboardKeys(windowStats.leaderboards.byTime)
+      ),
+    ]),
+    withSongs(
+      topAnswer(
+        "Longest streak song",
+        longestStreak,
+        (length) => `${formatPlays(length)} in a row`
+      ),
+      longestStreak.ties
+    ),
+    dayStreakAnswer("Longest daily streak (song)", dayStreaks.songs),
+    dayStreakAnswer("Longest daily streak (artist)", dayStreaks.artists),
+    dayStreaks.anyMusic.length > 0 && {
+      question: "Longest daily streak (any music)",
+      answer: formatDayRange(dayStreaks.anyMusic),
+      score: `${formatDays(dayStreaks.anyMusic.length)} in a row`,
     },
-    mostPlayedSongByTime && {
-      question: "Most listened song (time)",
-      answer: mostPlayedSongByTime,
+    withSongs(
+      everydaySongs.value.length > 0 && {
+        question: "Every day songs",
+        answer: everydaySongs.value.join(", "),
+        // Every day songs were played on each day with listens
+        score: `on all ${everydaySongs.score} listening ${
+          everydaySongs.score === 1 ? "day" : "days"
+        }`,
+      },
+      everydaySongs.value
+    ),
+    withSongs(
+      almostEveryDaySongs.songs.length > 0 && {
+        question: `Almost every day songs (${almostEveryDayLabel})`,
+        answer: almostEveryDaySongs.songs
+          .map(({ key, share }) => `${key} (${formatShare(share)})`)
+          .join(", "),
+        score: `${almostEveryDaySongs.score} of ${almostEveryDayTotal}`,
+      },
+      almostEveryDaySongs.value
+    ),
+    sessions.count > 0 && {
+      question: "Listening sessions",
+      answer: String(sessions.count),
+      score: `${sessions.averageSongs.toFixed(1)} songs per session`,
     },
-    mostPlayedArtist && {
-      question: "Most listened artist (count)",
-      answer: mostPlayedArtist,
+    sessions.count > 0 && {
+      question: "Average session length",
+      answer: formatDuration(sessions.averageSeconds),
     },
-    mostPlayedArtistByTime && {
-      question: "Most listened artist (time)",
-      answer: mostPlayedArtistByTime,
+    sessions.longest.value && {
+      question: "Longest session",
+      answer: sessions.longest.ties.map(formatSessionTimes).join(", "),
+      score: formatDuration(sessions.longest.score),
     },
-    topFridaySong && {
-      question: "Friday night song (count)",
-      answer: topFridaySong,
+    topAnswer("Most common session opener", sessions.opener, formatSessions),
+    topAnswer("Most common session closer", sessions.closer, formatSessions),
+    topGenres.value.length && {
+      ...getGenres(topGenres.value, "count"),
+      score: topGenres.value
+        .map((genre) => formatPlays(tallies.genreCount[genre]))
+        .join(", "),
+      leaderboard: leaderboards.genres.byCount,
     },
-    topFridaySongByTime && {
-      question: "Friday night song (time)",
-      answer: topFridaySongByTime,
+    topGenresByTime.value.length && {
+      ...getGenres(topGenresByTime.value, "time"),
+      score: topGenresByTime.value
+        .map((genre) => formatDuration(tallies.genreTime[genre]))
+        .join(", "),
+      leaderboard: leaderboards.genres.byTime,
     },
-    streakSongs.length && {
-      question: "Longest streak song",
-      answer: `${streakSongs.join(", ")} (length: ${maxStreak})`,
+    decades.length > 0 && {
+      question: "Plays by decade",
+      answer: decades
+        .map(({ decade, share }) => `${decade}s: ${formatShare(share)}`)
+        .join(", "),
+      score: formatPlays(decades.reduce((sum, { count }) => sum + count, 0)),
     },
-    everydaySongs && { question: "Every day songs", answer: everydaySongs },
-    topGenres && getGenres(topGenres),
+    withSongs(
+      topAnswer(
+        `Oldest song you love (${oldestLovedSong.minPlays}+ plays)`,
+        oldestLovedSong,
+        (year) => `released ${year}`
+      ),
+      oldestLovedSong.ties
+    ),
   ].filter(Boolean);
+}
 
-  // -------------------- Update the UI with the computed results --------------------------
-  updateTable(results);
+// Builds the row for a top-1 question, listing every tied winner
+function topAnswer(question, metric, formatScore, leaderboard) {
+  return (
+    metric.ties.length > 0 && {
+      question,
+      answer: metric.ties.join(", "),
+      score: formatScore(metric.score),
+      ...(leaderboard && { leaderboard }),
+    }
+  );
+}
+
+// Builds the row for a consecutive-day streak, with the dates of each tied run
+function dayStreakAnswer(question, streak) {
+  return (
+    streak.runs.length > 0 && {
+      question,
+      answer: streak.runs
+        .map((run) => `${run.key} (${formatDayRange(run)})`)
+        .join(", "),
+      score: `${formatDays(streak.score)} in a row`,
+    }
+  );
 }
 
-export function getGenres(topGenres) {
+/**
+ * Describes an "almost every day" threshold, e.g. "≥80% of days" or
+ * "≥20 of the last 30 days".
+ * @param {{ratio: number}|{minDays: number, lastDays: number}} threshold
+ * @returns {string}
+ */
+export function describeDayThreshold(threshold) {
+  return threshold.lastDays
+    ? `≥${threshold.minDays} of the last ${threshold.lastDays} days`
+    : `≥${Math.round(threshold.ratio * 100)}% of days`;
+}
+
+// Formats how often something happened, e.g. "1 time", "3 times"
+function formatTimes(count) {
+  return `${count} ${count === 1 ? "time" : "times"}`;
+}
+
+// Formats how many sessions a song opened or closed
+function formatSessions(count) {
+  return `${count} ${count === 1 ? "session" : "sessions"}`;
+}
+
+// Formats when a session ran, e.g. "31 Aug 2024, 10:38 – 14:49"
+function formatSessionTimes({ start, end }) {
+  const time = (date) =>
+    date.toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
+  const day = formatDay(toDayKey(start));
+  const endDay = formatDay(toDayKey(end));
+
+  return day === endDay
+    ? `${day}, ${time(start)} – ${time(end)}`
+    : `${day}, ${time(start)} – ${endDay}, ${time(end)}`;
+}
+
+/**
+ * Formats a number of days, e.g. 1 -> "1 day", 5 -> "5 days".
+ * @param {number} count - The number of days.
+ * @returns {string}
+ */
+export function formatDays(count) {
+  return `${count} ${count === 1 ? "day" : "days"}`;
+}
+
+/**
+ * Formats a "YYYY-MM-DD" day for display, e.g. "2024-08-01" -> "1 Aug 2024".
+ * @param {string} dayKey - The day to format.
+ * @returns {string}
+ */
+export function formatDay(dayKey) {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+}
+
+/**
+ * Formats the first and last day of a run, e.g. "1 Aug 2024 – 5 Aug 2024".
+ * @param {{start: string, end: string}} run - "YYYY-MM-DD" start and end days.
+ * @returns {string}
+ */
+export function formatDayRange({ start, end }) {
+  return start === end
+    ? formatDay(start)
+    : `${formatDay(start)} – ${formatDay(end)}`;
+}
+
+/**
+ * Formats a play count, e.g. 1 -> "1 play", 12 -> "12 plays". Genre counts
+ * can be fractions, and are rounded to one decimal, e.g. "2.5 plays".
+ * @param {number} count - The number of plays.
+ * @returns {string}
+ */
+export function formatPlays(count) {
+  const rounded = Math.round(count * 10) / 10;
+  return `${rounded} ${rounded === 1 ? "play" : "plays"}`;
+}
+
+/**
+ * Formats a fraction as a percentage, e.g. 0.1234 -> "12.3%".
+ * @param {number} share - A fraction between 0 and 1.
+ * @returns {string}
+ */
+export function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats a number of seconds as hours, minutes and seconds, e.g. "1h 02m 05s".
+ * @param {number} totalSeconds - The listening time in seconds.
+ * @returns {string}
+ */
+export function formatDuration(totalSeconds) {
+  // Round first, so 119.6 seconds is "2m 00s" rather than "1m 60s"
+  const rounded = Math.round(totalSeconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+
+  if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Builds the question/answer row for a list of top genres.
+ * @param {string[]} topGenres - The genres, best first; the label counts them.
+ * @param {"count"|"time"} [by] - What the genres were ranked by, shown in the label.
+ * @returns {{question: string, answer: string}}
+ */
+export function getGenres(topGenres, by) {
   const singularGender = topGenres.length === 1 ? "Genre" : "Genres";
-  const label = `Top ${topGenres.length} ${singularGender}`;
+  const label = by
+    ? `Top ${topGenres.length} ${singularGender} (${by})`
+    : `Top ${topGenres.length} ${singularGender}`;
 
   return { question: label, answer: topGenres.join(", ") };
 }
-
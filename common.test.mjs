@@ -4,17 +4,34 @@ import { jest, describe, test, expect, beforeEach } from '@jest/globals';
 jest.unstable_mockModule('./data.mjs', () => ({
   getListenEvents: jest.fn(),
   getSong: jest.fn(),
+  getUserIDs: jest.fn(() => []),
 }));
 
-// Mock the script module that exports updateTable
+// Mock the script module that exports the update functions
 jest.unstable_mockModule('./script.mjs', () => ({
   updateTable: jest.fn(),
+  updateHeatmap: jest.fn(),
+  updatePlaylist: jest.fn(),
+  updateComparisonTable: jest.fn(),
+  updateDataIssues: jest.fn(),
+  updateRecommendations: jest.fn(),
+  updateTransitions: jest.fn(),
 }));
 
 // Now import after mocks
-const { getListenEvents, getSong } = await import('./data.mjs');
-const { updateTable } = await import('./script.mjs');
-const { processUserData } = await import('./common.mjs');
+const { getListenEvents, getSong, getUserIDs } = await import('./data.mjs');
+const { updateComparisonTable, updateDataIssues, updateTable } = await import(
+  './script.mjs'
+);
+const {
+  collectResults,
+  computeUserStats,
+  formatComparison,
+  formatDuration,
+  processComparison,
+  processUserData,
+  getGenres,
+} = await import('./common.mjs');
 
 describe("processUserData()", () => {
   beforeEach(() => {
@@ -46,4 +63,292 @@ describe("processUserData()", () => {
     expect(everyday).toBeDefined();
     expect(everyday.answer).toBe("A - One");
   });
+
+  test("Lists every tied winner with the winning score", () => {
+    getListenEvents.mockReturnValue([
+      { song_id: "1", timestamp: "2025-06-20T10:00:00Z" },
+      { song_id: "2", timestamp: "2025-06-20T11:00:00Z" },
+      { song_id: "3", timestamp: "2025-06-20T12:00:00Z" },
+    ]);
+
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+      2: { artist: "B", title: "Two", genre: "Jazz", duration_seconds: 100 },
+      3: { artist: "B", title: "Three", genre: "Jazz", duration_seconds: 50 },
+    };
+    getSong.mockImplementation(id => songs[id]);
+
+    processUserData("user123");
+
+    const results = updateTable.mock.calls[0][0];
+    const byQuestion = question => results.find(r => r.question === question);
+
+    expect(byQuestion("Most listened song (count)")).toMatchObject({
+      question: "Most listened song (count)",
+      answer: "A - One, B - Two, B - Three",
+      score: "1 play",
+    });
+    expect(byQuestion("Most listened artist (time)")).toMatchObject({
+      question: "Most listened artist (time)",
+      answer: "B",
+      score: "2m 30s",
+    });
+  });
+
+  test("Leaves out listens of unknown songs and reports them", () => {
+    getListenEvents.mockReturnValue([
+      { song_id: "1", timestamp: "2025-06-20T10:00:00Z" },
+      { song_id: "missing", timestamp: "2025-06-20T11:00:00Z" },
+    ]);
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+
+    processUserData("user123");
+
+    const results = updateTable.mock.calls[0][0];
+    expect(results[0]).toMatchObject({ answer: "A - One", score: "1 play" });
+    expect(updateDataIssues.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ type: "unknown-song", index: 1 }),
+    ]);
+  });
+
+  test("Counts streaks over out-of-order listens as they are listed", () => {
+    // The listen of "Two" is listed last but happened first
+    getListenEvents.mockReturnValue([
+      { song_id: "1", timestamp: "2025-06-20T10:00:00" },
+      { song_id: "1", timestamp: "2025-06-20T10:05:00" },
+      { song_id: "2", timestamp: "2025-06-20T09:00:00" },
+      { song_id: "1", timestamp: "2025-06-20T10:10:00" },
+    ]);
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+      2: { artist: "B", title: "Two", genre: "Pop", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+
+    processUserData("user123");
+
+    const streak = updateTable.mock.calls[0][0].find(
+      (r) => r.question === "Longest streak song"
+    );
+    expect(streak).toMatchObject({
+      answer: "A - One",
+      score: "2 plays in a row",
+    });
+    expect(updateDataIssues.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ type: "out-of-order", index: 2 }),
+    ]);
+  });
+
+  test("Finds neighbours over the selected user's date range", () => {
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+      2: { artist: "B", title: "Two", genre: "Jazz", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+    getUserIDs.mockReturnValue(["1", "2"]);
+    // User 2 played the same song in user 1's last week, and another a month on
+    getListenEvents.mockImplementation((userID) =>
+      userID === "1"
+        ? [{ song_id: "1", timestamp: "2025-06-20T10:00:00" }]
+        : [
+            { song_id: "1", timestamp: "2025-06-18T10:00:00" },
+            { song_id: "2", timestamp: "2025-07-20T10:00:00" },
+          ]
+    );
+    const options = { range: "last-7-days" };
+    const similarListener = (rows) =>
+      rows.find((r) => r.question === "Most similar listener");
+
+    processUserData("1", options);
+
+    expect(similarListener(updateTable.mock.calls[0][0])).toMatchObject({
+      answer: "User 2",
+      score: "100.0% similar",
+    });
+    expect(similarListener(collectResults(["1"], options)["1"]).score).toBe(
+      "100.0% similar"
+    );
+  });
+
+  test("Counts days in the listener's time zone unless told otherwise", () => {
+    // Late evening in London is the next morning in Tokyo
+    getListenEvents.mockReturnValue([
+      { song_id: "1", timestamp: "2025-06-20T23:30:00" },
+      { song_id: "1", timestamp: "2025-06-21T09:00:00" },
+    ]);
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+    const daysListened = () =>
+      updateTable.mock.calls
+        .at(-1)[0]
+        .find((r) => r.question === "Every day songs").score;
+
+    processUserData("user123");
+    expect(daysListened()).toBe("on all 2 listening days");
+
+    processUserData("user123", { timeZone: "Asia/Tokyo" });
+    expect(daysListened()).toBe("on all 1 listening day");
+  });
+
+  test("Counts every day songs against the days with listens", () => {
+    getListenEvents.mockReturnValue([
+      { song_id: "1", timestamp: "2025-06-20T10:00:00" },
+      { song_id: "1", timestamp: "2025-06-22T10:00:00" },
+    ]);
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+
+    processUserData("user123");
+
+    const row = updateTable.mock.calls[0][0].find(
+      (r) => r.question === "Every day songs"
+    );
+    expect(row.score).toBe("on all 2 listening days");
+  });
+});
+
+describe("collectResults()", () => {
+  test("Builds the table rows of every user", () => {
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+    getUserIDs.mockReturnValue(["1", "2"]);
+    getListenEvents.mockImplementation((userID) =>
+      userID === "1"
+        ? [{ song_id: "1", timestamp: "2025-06-20T10:00:00Z" }]
+        : []
+    );
+
+    const results = collectResults(["1", "2"]);
+
+    expect(results["1"][0]).toMatchObject({
+      question: "Most listened song (count)",
+      answer: "A - One",
+    });
+    expect(results["2"]).toEqual([]);
+  });
+
+  test("Answers the album and release year questions when songs have them", () => {
+    const songs = {
+      1: {
+        artist: "A",
+        title: "One",
+        album: "First",
+        release_year: 1994,
+        genres: ["Pop", "Rock"],
+        duration_seconds: 100,
+      },
+      2: { artist: "B", title: "Two", genre: "Pop", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+    getListenEvents.mockReturnValue(
+      ["1", "1", "1", "2"].map((song_id, i) => ({
+        song_id,
+        timestamp: `2025-06-2${i}T10:00:00`,
+      }))
+    );
+
+    const rows = Object.fromEntries(
+      collectResults(["1"])["1"].map((row) => [row.question, row])
+    );
+
+    expect(rows["Most listened album (count)"]).toMatchObject({
+      answer: "A - First",
+      score: "3 plays",
+    });
+    expect(rows["Plays by decade"].answer).toBe("1990s: 100.0%");
+    expect(rows["Oldest song you love (3+ plays)"]).toMatchObject({
+      answer: "A - One",
+      score: "released 1994",
+    });
+    expect(rows["Top 2 Genres (count)"]).toMatchObject({
+      answer: "Pop, Rock",
+      score: "2.5 plays, 1.5 plays",
+    });
+  });
+});
+
+describe("processComparison()", () => {
+  test("Counts relative ranges back from the later user's latest listen", () => {
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+    };
+    getSong.mockImplementation((id) => songs[id]);
+    // User 2 last listened a month before user 1
+    getListenEvents.mockImplementation((userID) => [
+      {
+        song_id: "1",
+        timestamp:
+          userID === "1" ? "2025-06-20T10:00:00" : "2025-05-10T10:00:00",
+      },
+    ]);
+
+    processComparison(["1", "2"], { range: "this-month" });
+
+    const rows = updateComparisonTable.mock.calls.at(-1)[0];
+    expect(
+      rows.find((r) => r.question === "Most listened song (count)").answers
+    ).toEqual(["A - One (1 play)", "—"]);
+  });
+});
+
+describe("formatComparison()", () => {
+  test("Scores similarity with the chosen metric and measure", () => {
+    const songs = {
+      1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+      2: { artist: "B", title: "Two", genre: "Jazz", duration_seconds: 200 },
+    };
+    const statsFor = (songIDs) =>
+      computeUserStats(
+        songIDs.map((song_id) => ({
+          song_id,
+          timestamp: "2025-06-20T10:00:00",
+        })),
+        (id) => songs[id]
+      );
+    const statsList = [statsFor(["1"]), statsFor(["1", "2"])];
+    const similarityRow = (options) =>
+      formatComparison(statsList, options).find(
+        (r) => r.question === "Similarity score"
+      );
+
+    expect(similarityRow()).toEqual({
+      question: "Similarity score",
+      answer: "70.7%",
+      score: "cosine of plays",
+    });
+    expect(similarityRow({ metric: "jaccard", measure: "time" })).toEqual({
+      question: "Similarity score",
+      answer: "33.3%",
+      score: "jaccard of listening time",
+    });
+  });
+});
+
+describe("formatDuration()", () => {
+  test("Rounds to whole seconds before splitting into minutes", () => {
+    expect(formatDuration(119.6)).toBe("2m 00s");
+    expect(formatDuration(3599.5)).toBe("1h 00m 00s");
+    expect(formatDuration(65)).toBe("1m 05s");
+  });
+});
+
+describe("getGenres()", () => {
+  test("Labels the ranking mode and any number of genres", () => {
+    expect(getGenres(["House"], "time")).toEqual({
+      question: "Top 1 Genre (time)",
+      answer: "House",
+    });
+    expect(getGenres(["Pop", "Folk", "Punk", "House"], "count").question).toBe(
+      "Top 4 Genres (count)"
+    );
+  });
 });
@@ -0,0 +1,59 @@
+// Overlap metrics between two users' statistics (as returned by computeUserStats).
+
+import { toShares } from "./similarity.mjs";
+
+function sharedKeys(leaderboardA, leaderboardB) {
+  const keysB = new Set(leaderboardB.map(({ key }) => key));
+  return leaderboardA.map(({ key }) => key).filter((key) => keysB.has(key));
+}
+
+/**
+ * Compares two users' listening statistics.
+ * @param {object} statsA - `computeUserStats` result for the first user.
+ * @param {object} statsB - `computeUserStats` result for the second user.
+ * @returns {{
+ *   sharedTopSongs: string[],
+ *   sharedTopArtists: string[],
+ *   genreDifferences: Array<{genre: string, shares: number[], difference: number}>,
+ *   genreDistance: number
+ * }} Shared leaderboard entries (in the first user's order), per-genre play
+ *   shares sorted by the largest gap, and the fraction of plays that would have
+ *   to move genre to make the distributions equal. Taste similarity is
+ *   `tasteSimilarity` in similarity.mjs.
+ */
+export function compareUsers(statsA, statsB) {
+  const genreSharesA = toShares(statsA.tallies.genreCount);
+  const genreSharesB = toShares(statsB.tallies.genreCount);
+  const genres = new Set([
+    ...Object.keys(genreSharesA),
+    ...Object.keys(genreSharesB),
+  ]);
+
+  const genreDifferences = [...genres]
+    .map((genre) => {
+      const shares = [genreSharesA[genre] || 0, genreSharesB[genre] || 0];
+      return { genre, shares, difference: shares[0] - shares[1] };
+    })
+    .sort(
+      (a, b) =>
+        Math.abs(b.difference) - Math.abs(a.difference) ||
+        a.genre.localeCompare(b.genre)
+    );
+
+  return {
+    sharedTopSongs: sharedKeys(
+      statsA.leaderboards.songs.byCount,
+      statsB.leaderboards.songs.byCount
+    ),
+    sharedTopArtists: sharedKeys(
+      statsA.leaderboards.artists.byCount,
+      statsB.leaderboards.artists.byCount
+    ),
+    genreDifferences,
+    genreDistance:
+      genreDifferences.reduce(
+        (sum, { difference }) => sum + Math.abs(difference),
+        0
+      ) / 2,
+  };
+}
@@ -0,0 +1,42 @@
+import { describe, test, expect } from "@jest/globals";
+import { compareUsers } from "./compare.mjs";
+import { computeUserStats } from "./stats.mjs";
+
+const songs = {
+  1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+  2: { artist: "B", title: "Two", genre: "Jazz", duration_seconds: 200 },
+  3: { artist: "C", title: "Three", genre: "Jazz", duration_seconds: 300 },
+};
+const songLookup = (id) => songs[id];
+const statsFor = (songIDs) =>
+  computeUserStats(
+    songIDs.map((song_id, i) => ({
+      song_id,
+      timestamp: `2024-08-0${i + 1}T10:00:00`,
+    })),
+    songLookup
+  );
+
+describe("compareUsers()", () => {
+  test("Reports shared top entries and genre differences", () => {
+    const comparison = compareUsers(
+      statsFor(["1", "1", "2"]),
+      statsFor(["2", "3"])
+    );
+
+    expect(comparison.sharedTopSongs).toEqual(["B - Two"]);
+    expect(comparison.sharedTopArtists).toEqual(["B"]);
+    expect(comparison.genreDifferences[0]).toEqual({
+      genre: "Jazz",
+      shares: [1 / 3, 1],
+      difference: expect.closeTo(-2 / 3),
+    });
+    expect(comparison.genreDistance).toBeCloseTo(2 / 3);
+  });
+
+  test("Finds no genre distance between identical listening", () => {
+    const stats = statsFor(["1", "2", "2"]);
+
+    expect(compareUsers(stats, stats).genreDistance).toBe(0);
+  });
+});
@@ -0,0 +1,329 @@
+// Imports listening history from CSV files: one row per listen, with the
+// columns mapped onto the fields below. Rows become listen events and songs in
+// the same shape as data.mjs, ready to add to a memory data source.
+
+import { normalizeArtist, normalizeTitle, trackKey } from "./trackNames.mjs";
+import {
+  getViewerTimeZone,
+  parseTimestamp,
+  toWallClock,
+} from "./timeZones.mjs";
+
+/** Fields a CSV column can be mapped to. */
+export const IMPORT_FIELDS = [
+  {
+    id: "timestamp",
+    label: "Timestamp",
+    required: true,
+    aliases: ["time", "date", "played at", "played_at"],
+  },
+  {
+    id: "user",
+    label: "User",
+    required: true,
+    aliases: ["user id", "user_id", "userid", "listener"],
+  },
+  { id: "artist", label: "Artist", required: true, aliases: ["artist name"] },
+  {
+    id: "title",
+    label: "Title",
+    required: true,
+    aliases: ["song", "track", "track name", "song title"],
+  },
+  {
+    id: "duration",
+    label: "Duration",
+    required: false,
+    aliases: ["duration_seconds", "seconds", "length"],
+  },
+  {
+    id: "genre",
+    label: "Genre",
+    required: false,
+    aliases: ["genres"],
+  },
+  { id: "album", label: "Album", required: false, aliases: ["album name"] },
+  {
+    id: "album_artist",
+    label: "Album artist",
+    required: false,
+    aliases: ["album artist"],
+  },
+  {
+    id: "release_year",
+    label: "Release year",
+    required: false,
+    aliases: ["release year", "year"],
+  },
+  {
+    id: "track_number",
+    label: "Track number",
+    required: false,
+    aliases: ["track number", "track no", "track #"],
+  },
+  { id: "tags", label: "Tags", required: false, aliases: ["tag"] },
+];
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with commas,
+ * doubled quotes and line breaks, and both LF and CRLF line endings.
+ * @param {string} text - The CSV file contents.
+ * @returns {string[][]} The rows, blank lines left out.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [],
+    cell = "",
+    quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Guesses which column holds each field from the header names.
+ * @param {string[]} headers - The first CSV row.
+ * @returns {Object<string, number>} Column index keyed by field ID, for the
+ *   fields whose column was found.
+ */
+export function guessColumnMapping(headers) {
+  const names = headers.map((header) => header.trim().toLowerCase());
+  const mapping = {};
+
+  for (const { id, aliases } of IMPORT_FIELDS) {
+    const index = names.findIndex(
+      (name) => name === id || aliases.includes(name)
+    );
+    if (index !== -1) mapping[id] = index;
+  }
+
+  return mapping;
+}
+
+/**
+ * Builds the song ID used for an imported track, the same for every spelling
+ * of the same artist and title (see trackNames.mjs).
+ * @param {string} artist - The artist name.
+ * @param {string} title - The song title.
+ * @returns {string} e.g. "song-frank-turner-photosynthesis".
+ */
+export function importedSongID(artist, title) {
+  const slug = (name) => name.replace(/ /g, "-");
+  return `song-${slug(normalizeArtist(artist))}-${slug(normalizeTitle(title))}`;
+}
+
+/**
+ * Looks up songs by artist and title, however each service spells them, so
+ * imported tracks reuse the IDs of songs already known.
+ * @param {object[]} [catalogue] - The known songs.
+ * @returns {(artist: string, title: string) => object|undefined} The lookup.
+ */
+export function createTrackMatcher(catalogue = []) {
+  const songs = new Map(
+    catalogue.map((song) => [trackKey(song.artist, song.title), song])
+  );
+
+  return (artist, title) => songs.get(trackKey(artist, title));
+}
+
+// Splits a cell listing several names, e.g. "Folk; Punk"
+function parseNameList(value) {
+  return value
+    .split(";")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+// Reads a whole number of at least `min`, or null
+function parseWholeNumber(value, min) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : null;
+}
+
+// Reads seconds given as "245" or as "4:05"
+function parseDuration(value) {
+  const parts = value.split(":").map(Number);
+  if (parts.some((part) => !Number.isFinite(part) || part < 0)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * The time zone an import writes a user's listens in: the one the user already
+ * has, otherwise the one chosen for the import, otherwise the viewer's.
+ * @param {string} userID - The listener.
+ * @param {object} [options] - The importer options.
+ * @param {Object<string, string>} [options.timeZones] - Known time zones keyed
+ *   by user ID.
+ * @param {string} [options.timeZone] - The zone of new users.
+ * @returns {string} An IANA time zone.
+ */
+export function listenerTimeZone(userID, options = {}) {
+  return options.timeZones?.[userID] || options.timeZone || getViewerTimeZone();
+}
+
+/**
+ * Builds a listen event in the data.mjs shape.
+ * @param {string} songID - The song listened to.
+ * @param {Date} date - When the song started playing.
+ * @param {string} [timeZone] - The listener's time zone, which the timestamp
+ *   is written in. Defaults to the viewer's.
+ * @returns {{timestamp: string, seconds_since_midnight: number, song_id: string}}
+ */
+export function createListenEvent(
+  songID,
+  date,
+  timeZone = getViewerTimeZone()
+) {
+  const timestamp = toWallClock(date, timeZone);
+  const [hours, minutes, seconds] = timestamp.slice(11).split(":").map(Number);
+  return {
+    timestamp,
+    seconds_since_midnight: hours * 3600 + minutes * 60 + seconds,
+    song_id: songID,
+  };
+}
+
+/**
+ * Turns CSV rows into listen events and songs.
+ * @param {string[][]} rows - Data rows, without the header.
+ * @param {Object<string, number>} mapping - Column index keyed by field ID;
+ *   every required field of `IMPORT_FIELDS` must be mapped.
+ * @param {object} [options]
+ * @param {number} [options.firstLine] - File line number of the first row, for
+ *   the rejected rows report. Defaults to 2, the line after the header.
+ * @param {object[]} [options.catalogue] - Songs already known. Rows for the
+ *   same artist and title (see `createTrackMatcher`) use their ID; other
+ *   tracks get a new song.
+ * @param {Object<string, string>} [options.timeZones] - Time zones of known
+ *   users, see `listenerTimeZone`. Timestamps without an offset are read in
+ *   the user's zone.
+ * @param {string} [options.timeZone] - The zone of new users.
+ * @returns {{
+ *   songs: object[],
+ *   listens: Object<string, object[]>,
+ *   timeZones: Object<string, string>,
+ *   rejected: Array<{line: number, reason: string, row: string[]}>
+ * }} New songs (one per artist and title, with an ID from `importedSongID`),
+ *   events and time zones keyed by user ID, and the rows that could not be
+ *   imported. Genre and tag cells can list several names split by ";".
+ */
+export function importListens(rows, mapping, options = {}) {
+  const missing = IMPORT_FIELDS.filter(
+    ({ id, required }) => required && mapping[id] === undefined
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Choose a column for ${missing.map(({ label }) => label).join(", ")}`
+    );
+  }
+
+  const firstLine = options.firstLine ?? 2;
+  const findKnownSong = createTrackMatcher(options.catalogue);
+  const songs = new Map();
+  const listens = {};
+  const timeZones = {};
+  const rejected = [];
+
+  rows.forEach((row, index) => {
+    const value = (field) =>
+      mapping[field] === undefined ? "" : (row[mapping[field]] || "").trim();
+    const reject = (reason) =>
+      rejected.push({ line: firstLine + index, reason, row });
+
+    const emptyField = IMPORT_FIELDS.find(
+      ({ id, required }) => required && value(id) === ""
+    );
+    if (emptyField) {
+      return reject(`Missing ${emptyField.label.toLowerCase()}`);
+    }
+
+    const userID = value("user");
+    const timeZone = listenerTimeZone(userID, options);
+    const date = parseTimestamp(value("timestamp"), timeZone);
+    if (Number.isNaN(date.getTime())) {
+      return reject(`Invalid timestamp "${value("timestamp")}"`);
+    }
+
+    const duration = value("duration") ? parseDuration(value("duration")) : 0;
+    if (duration === null) {
+      return reject(`Invalid duration "${value("duration")}"`);
+    }
+
+    const details = {};
+    for (const [field, min] of [
+      ["release_year", 0],
+      ["track_number", 1],
+    ]) {
+      if (!value(field)) continue;
+      details[field] = parseWholeNumber(value(field), min);
+      if (details[field] === null) {
+        return reject(`Invalid ${field.replace("_", " ")} "${value(field)}"`);
+      }
+    }
+    const genres = parseNameList(value("genre"));
+    if (genres.length > 0) details.genre = genres[0];
+    if (genres.length > 1) details.genres = genres;
+    if (value("tags")) details.tags = parseNameList(value("tags"));
+    if (value("album")) details.album = value("album");
+    if (value("album_artist")) details.album_artist = value("album_artist");
+
+    const songID =
+      findKnownSong(value("artist"), value("title"))?.id ||
+      addSong(value("artist"), value("title"), duration, details);
+
+    listens[userID] = listens[userID] || [];
+    listens[userID].push(createListenEvent(songID, date, timeZone));
+    timeZones[userID] = timeZone;
+  });
+
+  // Creates the song for a new track, or completes it: later rows fill in a
+  // duration, genre or other detail the earlier ones left out
+  function addSong(artist, title, duration, details) {
+    const songID = importedSongID(artist, title);
+    const song = songs.get(songID) || {
+      id: songID,
+      artist,
+      title,
+      duration_seconds: 0,
+      genre: "Unknown",
+    };
+    if (!song.duration_seconds && duration) song.duration_seconds = duration;
+    for (const [field, detail] of Object.entries(details)) {
+      if (song[field] === undefined || song[field] === "Unknown") {
+        song[field] = detail;
+      }
+    }
+    songs.set(songID, song);
+    return songID;
+  }
+
+  return { songs: [...songs.values()], listens, timeZones, rejected };
+}
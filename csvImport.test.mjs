@@ -0,0 +1,148 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  guessColumnMapping,
+  importListens,
+  importedSongID,
+  parseCSV,
+} from "./csvImport.mjs";
+
+const csv = [
+  "Played at,User,Artist,Track,Length,Genre",
+  '2024-08-01 10:15:00,1,Frank Turner,"Be More Kind",4:07,Pop',
+  "2024-08-01 10:20:00,1,Frank Turner,Be More Kind,,",
+  '2024-08-01 11:00:00,2,"Mumford & Sons","Little Lion Man, Live",,',
+  "2024-08-01 12:00:00,2,,Nameless,,",
+  "yesterday,2,Faithless,Insomnia,,",
+  "2024-08-01 13:00:00,2,Faithless,Insomnia,long,",
+].join("\r\n");
+
+describe("parseCSV()", () => {
+  test("Splits quoted cells, doubled quotes and CRLF lines", () => {
+    expect(parseCSV('a,"b, ""c"""\r\n\r\nd,e\n')).toEqual([
+      ["a", 'b, "c"'],
+      ["d", "e"],
+    ]);
+  });
+});
+
+describe("guessColumnMapping()", () => {
+  test("Recognises common header names", () => {
+    const [headers] = parseCSV(csv);
+
+    expect(guessColumnMapping(headers)).toEqual({
+      timestamp: 0,
+      user: 1,
+      artist: 2,
+      title: 3,
+      duration: 4,
+      genre: 5,
+    });
+  });
+});
+
+describe("importListens()", () => {
+  const [headers, ...rows] = parseCSV(csv);
+  const mapping = guessColumnMapping(headers);
+
+  test("Creates events and one song per track", () => {
+    const { songs, listens } = importListens(rows, mapping);
+
+    expect(songs[0]).toEqual({
+      id: "song-frank-turner-be-more-kind",
+      artist: "Frank Turner",
+      title: "Be More Kind",
+      duration_seconds: 247,
+      genre: "Pop",
+    });
+    expect(songs[1].title).toBe("Little Lion Man, Live");
+    expect(listens["1"]).toEqual([
+      {
+        timestamp: "2024-08-01T10:15:00",
+        seconds_since_midnight: 36900,
+        song_id: "song-frank-turner-be-more-kind",
+      },
+      {
+        timestamp: "2024-08-01T10:20:00",
+        seconds_since_midnight: 37200,
+        song_id: "song-frank-turner-be-more-kind",
+      },
+    ]);
+  });
+
+  test("Reports the rows it could not import", () => {
+    const { rejected } = importListens(rows, mapping);
+
+    expect(rejected.map(({ line, reason }) => [line, reason])).toEqual([
+      [5, "Missing artist"],
+      [6, 'Invalid timestamp "yesterday"'],
+      [7, 'Invalid duration "long"'],
+    ]);
+  });
+
+  test("Uses the IDs of songs already in the catalogue", () => {
+    const catalogue = [
+      { id: "song-2", artist: "Frank Turner", title: "be more kind" },
+    ];
+
+    const { songs, listens } = importListens(rows, mapping, { catalogue });
+
+    expect(listens["1"][0].song_id).toBe("song-2");
+    expect(songs.map(({ id }) => id)).toEqual([
+      importedSongID("Mumford & Sons", "Little Lion Man, Live"),
+    ]);
+  });
+
+  test("Writes listens in each user's time zone", () => {
+    const zoned = [["2024-08-01T09:15:00Z", "1", "A", "One"]];
+
+    const { listens, timeZones } = importListens(zoned, mapping, {
+      timeZones: { 1: "Asia/Tokyo" },
+      timeZone: "Europe/London",
+    });
+    const { listens: newUser } = importListens(zoned, mapping, {
+      timeZone: "Europe/London",
+    });
+
+    expect(listens["1"][0].timestamp).toBe("2024-08-01T18:15:00");
+    expect(timeZones).toEqual({ 1: "Asia/Tokyo" });
+    expect(newUser["1"][0].timestamp).toBe("2024-08-01T10:15:00");
+  });
+
+  test("Reads album details and lists of genres and tags", () => {
+    const [header, ...metadataRows] = parseCSV(
+      [
+        "Time,User,Artist,Title,Album,Album artist,Year,Track number,Genres,Tags",
+        "2024-08-01 10:00,1,A,One,First,Various,1999,3,Folk; Punk,live",
+        "2024-08-01 11:00,1,A,Two,First,,nineties,,,",
+      ].join("\n")
+    );
+
+    const { songs, rejected } = importListens(
+      metadataRows,
+      guessColumnMapping(header)
+    );
+
+    expect(songs).toEqual([
+      {
+        id: "song-a-one",
+        artist: "A",
+        title: "One",
+        duration_seconds: 0,
+        genre: "Folk",
+        genres: ["Folk", "Punk"],
+        tags: ["live"],
+        album: "First",
+        album_artist: "Various",
+        release_year: 1999,
+        track_number: 3,
+      },
+    ]);
+    expect(rejected[0].reason).toBe('Invalid release year "nineties"');
+  });
+
+  test("Needs a column for every required field", () => {
+    expect(() => importListens(rows, { timestamp: 0, user: 1 })).toThrow(
+      "Choose a column for Artist, Title"
+    );
+  });
+});
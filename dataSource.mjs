@@ -0,0 +1,235 @@
+// Data sources: interchangeable providers of users, songs and listen events.
+// Every source offers the same three synchronous operations as data.mjs,
+// `getUserIDs()`, `getSong(songID)` and `getListenEvents(userID)`. Sources
+// backed by a file or an HTTP endpoint load the whole dataset up front, so the
+// analytics never have to wait on I/O.
+//
+// The rest of the app imports the three operations from this module; they
+// forward to whichever source was last passed to `setDataSource`. Sources can
+// also tell each user's time zone with `getTimeZone(userID)`.
+
+import * as staticData from "./data.mjs";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "./timeZones.mjs";
+
+// The bundled listens were recorded in the UK
+const STATIC_TIME_ZONE = "Europe/London";
+
+/**
+ * The dataset bundled in data.mjs.
+ * @returns {object} A data source.
+ */
+export function createStaticSource() {
+  return {
+    id: "static",
+    getUserIDs: () => staticData.getUserIDs(),
+    getSong: (songID) => staticData.getSong(songID),
+    getListenEvents: (userID) => staticData.getListenEvents(userID),
+    getTimeZone: () => STATIC_TIME_ZONE,
+  };
+}
+
+/**
+ * A data source held in memory, which can be filled after it is created.
+ * @param {{
+ *   songs?: object[],
+ *   listens?: Object<string, object[]>,
+ *   timeZones?: Object<string, string>
+ * }} [dataset] - Songs (each with an `id`), listen events keyed by user ID,
+ *   and the IANA time zone of each user, keyed by user ID.
+ * @returns {object} A data source that also has `getSongs()`,
+ *   `addDataset(dataset)` to add songs, listen events and time zones, and
+ *   `setTimeZone(userID, timeZone)`.
+ */
+export function createMemorySource(dataset = {}) {
+  const songs = new Map();
+  const listens = new Map();
+  const timeZones = new Map();
+
+  const source = {
+    id: "memory",
+    getUserIDs: () => [...listens.keys()],
+    getSong: (songID) => songs.get(songID),
+    getListenEvents: (userID) => listens.get(String(userID)) || [],
+    getSongs: () => [...songs.values()],
+    getTimeZone: (userID) => timeZones.get(String(userID)),
+    setTimeZone(userID, timeZone) {
+      if (!isValidTimeZone(timeZone)) {
+        throw new Error(`Unknown time zone "${timeZone}"`);
+      }
+      timeZones.set(String(userID), timeZone);
+    },
+    addDataset(newData) {
+      for (const song of newData.songs || []) {
+        songs.set(song.id, song);
+      }
+      for (const [userID, events] of Object.entries(newData.listens || {})) {
+        listens.set(userID, [...source.getListenEvents(userID), ...events]);
+      }
+      for (const [userID, timeZone] of Object.entries(
+        newData.timeZones || {}
+      )) {
+        source.setTimeZone(userID, timeZone);
+      }
+    },
+  };
+
+  source.addDataset(dataset);
+  return source;
+}
+
+/**
+ * Copies everything a source serves into a new memory source: every user's
+ * listen events and time zone, and the songs they refer to.
+ * @param {object} source - Any data source.
+ * @returns {object} A memory source.
+ */
+export function copyToMemory(source) {
+  const userIDs = source.getUserIDs();
+  const listens = Object.fromEntries(
+    userIDs.map((userID) => [userID, source.getListenEvents(userID) || []])
+  );
+  const timeZones = Object.fromEntries(
+    userIDs
+      .map((userID) => [userID, source.getTimeZone?.(userID)])
+      .filter(([, timeZone]) => timeZone)
+  );
+  const songIDs = new Set(
+    Object.values(listens).flatMap((events) =>
+      events.map((event) => event.song_id)
+    )
+  );
+
+  return createMemorySource({
+    songs: [...songIDs].map((songID) => source.getSong(songID)).filter(Boolean),
+    listens,
+    timeZones,
+  });
+}
+
+/**
+ * Checks the shape of a dataset read from a file or an endpoint. An optional
+ * `timeZones` object gives each user's IANA time zone.
+ * @param {unknown} dataset - Parsed JSON.
+ * @returns {{songs: object[], listens: Object<string, object[]>}} The dataset.
+ */
+export function parseDataset(dataset) {
+  if (!dataset || !Array.isArray(dataset.songs)) {
+    throw new Error("The dataset needs a `songs` list");
+  }
+  if (
+    !dataset.listens ||
+    typeof dataset.listens !== "object" ||
+    !Object.values(dataset.listens).every(Array.isArray)
+  ) {
+    throw new Error("The dataset needs `listens` lists keyed by user ID");
+  }
+  for (const [userID, timeZone] of Object.entries(dataset.timeZones || {})) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone "${timeZone}" for user ${userID}`);
+    }
+  }
+  return dataset;
+}
+
+/**
+ * Loads a JSON dataset chosen with a file input.
+ * @param {File} file - A JSON file shaped like `{ songs: [...], listens: {...} }`.
+ * @returns {Promise<object>} A data source.
+ */
+export async function loadJSONFileSource(file) {
+  if (!file) {
+    throw new Error("Choose a JSON file first");
+  }
+
+  let dataset;
+  try {
+    dataset = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+
+  return { ...createMemorySource(parseDataset(dataset)), id: "file" };
+}
+
+/**
+ * Loads a JSON dataset from an HTTP endpoint.
+ * @param {string} url - Returns JSON shaped like `{ songs: [...], listens: {...} }`.
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - Used instead of the global `fetch`.
+ * @returns {Promise<object>} A data source.
+ */
+export async function loadHTTPSource(url, options = {}) {
+  if (!url) {
+    throw new Error("Enter the URL of the dataset first");
+  }
+
+  const response = await (options.fetch || fetch)(url, {
+    headers: { Accept: "application/json" },
+  });
+  if (!response.ok) {
+    throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+  }
+
+  return {
+    ...createMemorySource(parseDataset(await response.json())),
+    id: "http",
+  };
+}
+
+let activeSource = createStaticSource();
+
+/**
+ * Switches every later data access to another source.
+ * @param {object} source - A data source, e.g. from `createMemorySource`.
+ */
+export function setDataSource(source) {
+  activeSource = source;
+}
+
+/**
+ * @returns {object} The data source in use, the static dataset by default.
+ */
+export function getDataSource() {
+  return activeSource;
+}
+
+/**
+ * The data source in use, if it can take new data. Otherwise an in-memory copy
+ * of it replaces it, so imports add to the data already shown.
+ * @returns {object} A data source with `getSongs` and `addDataset`.
+ */
+export function getWritableDataSource() {
+  if (!activeSource.addDataset) {
+    activeSource = copyToMemory(activeSource);
+  }
+  return activeSource;
+}
+
+export function getUserIDs() {
+  return activeSource.getUserIDs();
+}
+
+export function getSong(songID) {
+  return activeSource.getSong(songID);
+}
+
+export function getListenEvents(userID) {
+  return activeSource.getListenEvents(userID);
+}
+
+/**
+ * @returns {object[]} Every song the source knows, played or not; empty when
+ *   the source cannot list its songs, as data.mjs cannot.
+ */
+export function getSongs() {
+  return activeSource.getSongs?.() || [];
+}
+
+/**
+ * @param {string} userID - The listener.
+ * @returns {string} Their IANA time zone, `DEFAULT_TIME_ZONE` when the source
+ *   does not know it.
+ */
+export function getTimeZone(userID) {
+  return activeSource.getTimeZone?.(userID) || DEFAULT_TIME_ZONE;
+}
@@ -0,0 +1,130 @@
+import { describe, test, expect, afterEach } from "@jest/globals";
+import {
+  createMemorySource,
+  createStaticSource,
+  getListenEvents,
+  getSong,
+  getTimeZone,
+  getUserIDs,
+  getWritableDataSource,
+  loadHTTPSource,
+  loadJSONFileSource,
+  parseDataset,
+  setDataSource,
+} from "./dataSource.mjs";
+
+const dataset = {
+  songs: [{ id: "song-x", artist: "A", title: "One", duration_seconds: 100 }],
+  listens: { 7: [{ song_id: "song-x", timestamp: "2024-08-01T10:00:00" }] },
+};
+
+afterEach(() => {
+  setDataSource(createStaticSource());
+});
+
+describe("createMemorySource()", () => {
+  test("Serves the dataset it was given and data added later", () => {
+    const source = createMemorySource(dataset);
+    source.addDataset({ listens: { 8: dataset.listens[7] } });
+
+    expect(source.getUserIDs()).toEqual(["7", "8"]);
+    expect(source.getSong("song-x").title).toBe("One");
+    expect(source.getListenEvents("7")).toHaveLength(1);
+    expect(source.getListenEvents("9")).toEqual([]);
+  });
+});
+
+describe("getTimeZone()", () => {
+  test("Gives each user's zone, UTC when the source has none", () => {
+    expect(getTimeZone("1")).toBe("Europe/London");
+
+    setDataSource(
+      createMemorySource({ ...dataset, timeZones: { 7: "Asia/Tokyo" } })
+    );
+
+    expect(getTimeZone("7")).toBe("Asia/Tokyo");
+    expect(getTimeZone("8")).toBe("UTC");
+  });
+
+  test("Rejects unknown time zones", () => {
+    expect(() =>
+      parseDataset({ ...dataset, timeZones: { 7: "Nowhere/City" } })
+    ).toThrow('Unknown time zone "Nowhere/City" for user 7');
+    expect(() => createMemorySource().setTimeZone("7", "Mars")).toThrow(
+      'Unknown time zone "Mars"'
+    );
+  });
+});
+
+describe("setDataSource()", () => {
+  test("Forwards the data operations to the active source", () => {
+    expect(getUserIDs()).toEqual(["1", "2", "3", "4"]);
+
+    setDataSource(createMemorySource(dataset));
+
+    expect(getUserIDs()).toEqual(["7"]);
+    expect(getSong("song-x").artist).toBe("A");
+    expect(getListenEvents("7")).toEqual(dataset.listens[7]);
+  });
+});
+
+describe("getWritableDataSource()", () => {
+  test("Swaps the static dataset for an in-memory copy", () => {
+    const source = getWritableDataSource();
+    source.addDataset(dataset);
+
+    expect(getUserIDs()).toEqual(["1", "2", "3", "4", "7"]);
+    expect(getSong("song-x").title).toBe("One");
+    expect(getSong("song-1").title).toBe("I Got Love");
+    expect(getTimeZone("1")).toBe("Europe/London");
+    expect(getWritableDataSource()).toBe(source);
+  });
+});
+
+describe("parseDataset()", () => {
+  test("Rejects datasets without songs or listens", () => {
+    expect(() => parseDataset({ listens: {} })).toThrow("`songs` list");
+    expect(() => parseDataset({ songs: [], listens: { 1: {} } })).toThrow(
+      "`listens` lists"
+    );
+  });
+});
+
+describe("loadJSONFileSource()", () => {
+  test("Reads the dataset from the file", async () => {
+    const file = {
+      name: "music.json",
+      text: async () => JSON.stringify(dataset),
+    };
+
+    const source = await loadJSONFileSource(file);
+
+    expect(source.getUserIDs()).toEqual(["7"]);
+  });
+
+  test("Reports files that are not JSON", async () => {
+    const file = { name: "music.json", text: async () => "{" };
+
+    await expect(loadJSONFileSource(file)).rejects.toThrow(
+      "music.json is not valid JSON"
+    );
+  });
+});
+
+describe("loadHTTPSource()", () => {
+  test("Fetches the dataset from the endpoint", async () => {
+    const fetch = async () => ({ ok: true, json: async () => dataset });
+
+    const source = await loadHTTPSource("https://example.com/data", { fetch });
+
+    expect(source.getSong("song-x").title).toBe("One");
+  });
+
+  test("Reports failed requests", async () => {
+    const fetch = async () => ({ ok: false, status: 404 });
+
+    await expect(
+      loadHTTPSource("https://example.com/data", { fetch })
+    ).rejects.toThrow("HTTP 404");
+  });
+});
@@ -0,0 +1,187 @@
+// Date range helpers used to restrict every statistic to a window of time.
+// Ranges are `{ start, end }` pairs of Date objects, both inclusive; a missing
+// bound means the range is open on that side.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Presets offered next to the user dropdown. Relative presets are resolved
+ * against the user's latest listen, so "last 7 days" means the last 7 days of
+ * their history rather than the last 7 days before today.
+ */
+export const DATE_RANGE_PRESETS = [
+  { id: "all", label: "All time" },
+  { id: "last-7-days", label: "Last 7 days" },
+  { id: "last-30-days", label: "Last 30 days" },
+  { id: "this-month", label: "This month" },
+];
+
+// Matches month presets such as "2024-08"
+const MONTH_PRESET = /^(\d{4})-(\d{2})$/;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function endOfDay(date) {
+  return new Date(startOfDay(date).getTime() + DAY_MS - 1);
+}
+
+function monthRange(year, monthIndex) {
+  return {
+    start: new Date(year, monthIndex, 1),
+    end: new Date(new Date(year, monthIndex + 1, 1).getTime() - 1),
+  };
+}
+
+/**
+ * Parses a "YYYY-MM-DD" date (as produced by `<input type="date">`) in local
+ * time. Anything else is handed to the Date constructor.
+ * @param {string|Date} value - The date to parse.
+ * @returns {Date|null} The parsed date, or null when empty or invalid.
+ */
+export function parseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Returns the local calendar day of a date as "YYYY-MM-DD".
+ * @param {Date} date - The date to convert.
+ * @returns {string} The day key.
+ */
+export function toDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the day key of the calendar day after the given one.
+ * @param {string} dayKey - A "YYYY-MM-DD" day.
+ * @returns {string} The following day.
+ */
+export function nextDayKey(dayKey) {
+  return shiftDayKey(dayKey, 1);
+}
+
+/**
+ * Moves a day key by a number of calendar days.
+ * @param {string} dayKey - A "YYYY-MM-DD" day.
+ * @param {number} days - How many days to move; negative moves back.
+ * @returns {string} The shifted day.
+ */
+export function shiftDayKey(dayKey, days) {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  return toDayKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Turns a preset id, a month ("2024-08") or a `{ start, end }` pair into a
+ * concrete date range.
+ * @param {string|{start: (string|Date), end: (string|Date)}} range - What to resolve.
+ * @param {Date} [referenceDate] - The date relative presets count back from.
+ * @returns {{start: (Date|null), end: (Date|null)}|null} The range, or null for all time.
+ */
+export function resolveDateRange(range, referenceDate = new Date()) {
+  if (!range || range === "all") return null;
+
+  if (typeof range === "object") {
+    const start = parseDate(range.start);
+    const end = parseDate(range.end);
+    if (!start && !end) return null;
+
+    return {
+      start: start && startOfDay(start),
+      end: end && endOfDay(end),
+    };
+  }
+
+  const monthMatch = MONTH_PRESET.exec(range);
+  if (monthMatch) {
+    return monthRange(Number(monthMatch[1]), Number(monthMatch[2]) - 1);
+  }
+
+  switch (range) {
+    case "last-7-days":
+    case "last-30-days": {
+      const days = range === "last-7-days" ? 7 : 30;
+      const end = endOfDay(referenceDate);
+      const start = startOfDay(
+        new Date(end.getTime() - (days - 1) * DAY_MS)
+      );
+      return { start, end };
+    }
+    case "this-month":
+      return monthRange(referenceDate.getFullYear(), referenceDate.getMonth());
+    default:
+      throw new Error(`Unknown date range preset: ${range}`);
+  }
+}
+
+/**
+ * Keeps only the events whose timestamp falls inside the range.
+ * @param {Array<{timestamp: string}>} events - Listen events.
+ * @param {{start: (Date|null), end: (Date|null)}|null} range - A resolved range.
+ * @returns {Array<{timestamp: string}>} The events inside the range.
+ */
+export function filterEventsByDateRange(events, range) {
+  if (!range) return events;
+
+  return events.filter((event) => {
+    const time = new Date(event.timestamp).getTime();
+    if (range.start && time < range.start.getTime()) return false;
+    if (range.end && time > range.end.getTime()) return false;
+    return true;
+  });
+}
+
+/**
+ * Returns the date of the most recent event.
+ * @param {Array<{timestamp: string}>} events - Listen events.
+ * @returns {Date|undefined} The latest timestamp, or undefined without events.
+ */
+export function latestEventDate(events) {
+  let latest;
+  for (const event of events) {
+    const date = new Date(event.timestamp);
+    if (!latest || date > latest) latest = date;
+  }
+  return latest;
+}
+
+/**
+ * Lists the months ("YYYY-MM") the events span, most recent first, so they
+ * can be offered as presets.
+ * @param {Array<{timestamp: string}>} events - Listen events.
+ * @returns {string[]} The months with at least one listen.
+ */
+export function listEventMonths(events) {
+  const months = new Set(
+    events
+      .map((event) => new Date(event.timestamp))
+      .filter((date) => !isNaN(date))
+      .map((date) => toDayKey(date).slice(0, 7))
+  );
+  return [...months].sort().reverse();
+}
+
+/**
+ * Formats a month preset for display, e.g. "2024-08" -> "August 2024".
+ * @param {string} month - A "YYYY-MM" month.
+ * @returns {string} The human readable month.
+ */
+export function formatMonthLabel(month) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return new Date(year, monthNumber - 1, 1).toLocaleString("en-GB", {
+    month: "long",
+    year: "numeric",
+  });
+}
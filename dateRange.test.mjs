@@ -0,0 +1,55 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  filterEventsByDateRange,
+  formatMonthLabel,
+  listEventMonths,
+  resolveDateRange,
+} from "./dateRange.mjs";
+
+const events = [
+  { song_id: "1", timestamp: "2024-07-30T22:00:00" },
+  { song_id: "1", timestamp: "2024-08-01T00:00:00" },
+  { song_id: "2", timestamp: "2024-08-24T09:00:00" },
+  { song_id: "2", timestamp: "2024-08-31T23:59:59" },
+];
+
+describe("resolveDateRange()", () => {
+  test("Treats missing ranges and 'all' as all time", () => {
+    expect(resolveDateRange(undefined)).toBeNull();
+    expect(resolveDateRange("all")).toBeNull();
+  });
+
+  test("Counts relative presets back from the reference date", () => {
+    const range = resolveDateRange(
+      "last-7-days",
+      new Date(2024, 7, 31, 12, 0)
+    );
+
+    expect(filterEventsByDateRange(events, range)).toEqual(events.slice(3));
+  });
+
+  test("Includes the whole end day of a custom range", () => {
+    const range = resolveDateRange({ start: "2024-08-01", end: "2024-08-31" });
+
+    expect(filterEventsByDateRange(events, range)).toEqual(events.slice(1));
+  });
+
+  test("Resolves month presets", () => {
+    const range = resolveDateRange("2024-07");
+
+    expect(filterEventsByDateRange(events, range)).toEqual(events.slice(0, 1));
+  });
+
+  test("Rejects unknown presets", () => {
+    expect(() => resolveDateRange("next-week")).toThrow(
+      "Unknown date range preset"
+    );
+  });
+});
+
+describe("listEventMonths()", () => {
+  test("Lists months most recent first", () => {
+    expect(listEventMonths(events)).toEqual(["2024-08", "2024-07"]);
+    expect(formatMonthLabel("2024-08")).toBe("August 2024");
+  });
+});
@@ -0,0 +1,121 @@
+// Playlist file formats for loading song lists into media players. Songs have
+// no file paths, so each track is described by artist, title and duration and
+// players match it against their own library.
+
+/**
+ * Writes an extended M3U playlist (UTF-8).
+ * @param {{title: string, songs: object[]}} playlist - Songs from `getSong`.
+ * @returns {string} The file contents.
+ */
+export function toM3U8({ title, songs }) {
+  return [
+    "#EXTM3U",
+    `#PLAYLIST:${title}`,
+    ...songs.flatMap((song) => [
+      `#EXTINF:${song.duration_seconds},${song.artist} - ${song.title}`,
+      `${song.artist} - ${song.title}`,
+    ]),
+  ]
+    .join("\n")
+    .concat("\n");
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Writes an XSPF playlist. Durations are in milliseconds, as the format asks.
+ * @param {{title: string, songs: object[]}} playlist - Songs from `getSong`.
+ * @returns {string} The file contents.
+ */
+export function toXSPF({ title, songs }) {
+  const tracks = songs.map((song) =>
+    [
+      "    <track>",
+      `      <creator>${escapeXML(song.artist)}</creator>`,
+      `      <title>${escapeXML(song.title)}</title>`,
+      `      <duration>${song.duration_seconds * 1000}</duration>`,
+      "    </track>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXML(title)}</title>`,
+    "  <trackList>",
+    ...tracks,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Writes a JSPF playlist, the JSON version of XSPF.
+ * @param {{title: string, songs: object[]}} playlist - Songs from `getSong`.
+ * @returns {string} The file contents.
+ */
+export function toJSPF({ title, songs }) {
+  const playlist = {
+    title,
+    track: songs.map((song) => ({
+      creator: song.artist,
+      title: song.title,
+      duration: song.duration_seconds * 1000,
+    })),
+  };
+
+  return JSON.stringify({ playlist }, null, 2);
+}
+
+export const PLAYLIST_FORMATS = [
+  {
+    id: "m3u8",
+    label: "M3U8",
+    mimeType: "audio/x-mpegurl",
+    serialize: toM3U8,
+  },
+  {
+    id: "xspf",
+    label: "XSPF",
+    mimeType: "application/xspf+xml",
+    serialize: toXSPF,
+  },
+  {
+    id: "jspf",
+    label: "JSPF",
+    mimeType: "application/json",
+    serialize: toJSPF,
+  },
+];
+
+/**
+ * Turns a playlist into a file in one of the `PLAYLIST_FORMATS`.
+ * @param {{title: string, songs: object[]}} playlist - Songs from `getSong`.
+ * @param {string} format - A format ID, e.g. "xspf".
+ * @returns {{filename: string, content: string, mimeType: string}}
+ */
+export function exportPlaylist(playlist, format) {
+  const playlistFormat = PLAYLIST_FORMATS.find(({ id }) => id === format);
+  if (!playlistFormat) {
+    throw new Error(`Unknown playlist format: ${format}`);
+  }
+
+  const name = playlist.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+  return {
+    filename: `${name || "playlist"}.${playlistFormat.id}`,
+    content: playlistFormat.serialize(playlist),
+    mimeType: playlistFormat.mimeType,
+  };
+}
@@ -0,0 +1,56 @@
+import { describe, test, expect } from "@jest/globals";
+import { exportPlaylist, toJSPF, toM3U8, toXSPF } from "./playlistFormats.mjs";
+
+const playlist = {
+  title: "Every day songs",
+  songs: [
+    { artist: "Frank Turner", title: "Be More Kind", duration_seconds: 247 },
+    { artist: "Mumford & Sons", title: "<Live>", duration_seconds: 190 },
+  ],
+};
+
+describe("toM3U8()", () => {
+  test("Writes an EXTINF line with the duration for each song", () => {
+    expect(toM3U8(playlist).split("\n").slice(0, 4)).toEqual([
+      "#EXTM3U",
+      "#PLAYLIST:Every day songs",
+      "#EXTINF:247,Frank Turner - Be More Kind",
+      "Frank Turner - Be More Kind",
+    ]);
+  });
+});
+
+describe("toXSPF()", () => {
+  test("Escapes XML and gives durations in milliseconds", () => {
+    const xspf = toXSPF(playlist);
+
+    expect(xspf).toContain("<creator>Mumford &amp; Sons</creator>");
+    expect(xspf).toContain("<title>&lt;Live&gt;</title>");
+    expect(xspf).toContain("<duration>247000</duration>");
+  });
+});
+
+describe("toJSPF()", () => {
+  test("Lists the tracks under the playlist", () => {
+    expect(JSON.parse(toJSPF(playlist)).playlist.track[0]).toEqual({
+      creator: "Frank Turner",
+      title: "Be More Kind",
+      duration: 247000,
+    });
+  });
+});
+
+describe("exportPlaylist()", () => {
+  test("Names the file after the playlist", () => {
+    expect(exportPlaylist(playlist, "xspf")).toMatchObject({
+      filename: "every-day-songs.xspf",
+      mimeType: "application/xspf+xml",
+    });
+  });
+
+  test("Rejects unknown formats", () => {
+    expect(() => exportPlaylist(playlist, "pls")).toThrow(
+      "Unknown playlist format"
+    );
+  });
+});
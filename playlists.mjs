@@ -0,0 +1,150 @@
+// Playlists generated from a user's statistics (as returned by computeUserStats).
+// Each playlist type ranks candidate songs; the ranking is then cut down to a
+// number of songs and, optionally, a target total duration.
+
+import { shiftDayKey } from "./dateRange.mjs";
+import { FRIDAY_NIGHT } from "./timeWindows.mjs";
+import { songGenres } from "./stats.mjs";
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_RECENT_DAYS = 30;
+
+// Songs ordered by a tally, highest first, leaving out those never played
+function rankByTally(tally) {
+  return Object.keys(tally)
+    .filter((key) => tally[key] > 0)
+    .sort((a, b) => tally[b] - tally[a] || a.localeCompare(b));
+}
+
+function topSongs(stats) {
+  return rankByTally(stats.tallies.songCount);
+}
+
+function fridayNightSongs(stats) {
+  const fridayNight = stats.timeWindows.find(
+    ({ timeWindow }) => timeWindow.id === FRIDAY_NIGHT.id
+  );
+  if (!fridayNight) {
+    throw new Error("The Friday night mix needs the Friday night time window");
+  }
+  return rankByTally(fridayNight.tallies.songCount);
+}
+
+// Songs played on many days, but not at all in the last `recentDays` days
+function forgottenFavourites(stats, options) {
+  const { songDays } = stats.tallies;
+  const lastDays = Object.values(songDays).map((days) =>
+    [...days].reduce((a, b) => (a > b ? a : b))
+  );
+  if (lastDays.length === 0) return [];
+
+  const latestDay = lastDays.reduce((a, b) => (a > b ? a : b));
+  const cutoff = shiftDayKey(
+    latestDay,
+    1 - (options.recentDays || DEFAULT_RECENT_DAYS)
+  );
+  const earlierDays = Object.fromEntries(
+    Object.entries(songDays)
+      .filter(([, days]) => [...days].every((day) => day < cutoff))
+      .map(([songKey, days]) => [songKey, days.size])
+  );
+
+  return rankByTally(earlierDays);
+}
+
+// Takes turns between genres, most played genre first, each contributing its
+// own most played songs. Songs with several genres go under the first one.
+function genreMix(stats, options) {
+  const songsByGenre = {};
+  for (const songKey of topSongs(stats)) {
+    const [genre] = songGenres(stats.songs[songKey]);
+    songsByGenre[genre] = songsByGenre[genre] || [];
+    songsByGenre[genre].push(songKey);
+  }
+
+  const genres = (options.genres || rankByTally(stats.tallies.genreCount))
+    .map((genre) => songsByGenre[genre])
+    .filter(Boolean);
+  const mix = [];
+  for (let i = 0; genres.some((songKeys) => i < songKeys.length); i++) {
+    for (const songKeys of genres) {
+      if (i < songKeys.length) mix.push(songKeys[i]);
+    }
+  }
+  return mix;
+}
+
+export const PLAYLIST_TYPES = [
+  { id: "top", label: "Your top 20", rank: topSongs },
+  { id: "friday-night", label: "Friday night mix", rank: fridayNightSongs },
+  {
+    id: "forgotten-favourites",
+    label: "Forgotten favourites",
+    rank: forgottenFavourites,
+  },
+  { id: "genre-mix", label: "Genre mix", rank: genreMix },
+];
+
+/**
+ * Keeps songs in order while they fit the target duration. A song too long
+ * for the time left is skipped, so a shorter one further down can fill the gap.
+ * @param {object[]} songs - Candidate songs, best first.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of songs.
+ * @param {number} [options.targetSeconds] - Maximum total `duration_seconds`.
+ * @returns {object[]} The songs that made it.
+ */
+export function fitToDuration(songs, options = {}) {
+  const { limit = Infinity, targetSeconds = Infinity } = options;
+  const playlist = [];
+  let total = 0;
+
+  for (const song of songs) {
+    if (playlist.length >= limit) break;
+    if (total + song.duration_seconds > targetSeconds) continue;
+
+    playlist.push(song);
+    total += song.duration_seconds;
+  }
+
+  return playlist;
+}
+
+/**
+ * Generates a playlist of one of the `PLAYLIST_TYPES`.
+ * @param {object} stats - `computeUserStats` result. The Friday night mix needs
+ *   the `FRIDAY_NIGHT` time window to be among the computed windows.
+ * @param {string} type - A playlist type ID, e.g. "genre-mix".
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of songs. Defaults to 20.
+ * @param {number} [options.targetMinutes] - Maximum total duration.
+ * @param {number} [options.recentDays] - Forgotten favourites are songs not
+ *   played in this many days. Defaults to 30.
+ * @param {string[]} [options.genres] - Genres for the genre mix, in turn order.
+ *   Defaults to every genre, most played first.
+ * @returns {{type: string, title: string, songs: object[], durationSeconds: number}}
+ */
+export function generatePlaylist(stats, type, options = {}) {
+  const playlistType = PLAYLIST_TYPES.find(({ id }) => id === type);
+  if (!playlistType) {
+    throw new Error(`Unknown playlist type: ${type}`);
+  }
+
+  const candidates = playlistType
+    .rank(stats, options)
+    .map((songKey) => stats.songs[songKey]);
+  const songs = fitToDuration(candidates, {
+    limit: options.limit || DEFAULT_LIMIT,
+    targetSeconds: options.targetMinutes && options.targetMinutes * 60,
+  });
+
+  return {
+    type,
+    title: playlistType.label,
+    songs,
+    durationSeconds: songs.reduce(
+      (sum, song) => sum + song.duration_seconds,
+      0
+    ),
+  };
+}
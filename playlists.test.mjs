@@ -0,0 +1,64 @@
+import { describe, test, expect } from "@jest/globals";
+import { computeUserStats } from "./stats.mjs";
+import { fitToDuration, generatePlaylist } from "./playlists.mjs";
+import { FRIDAY_NIGHT } from "./timeWindows.mjs";
+
+const songs = {
+  1: { artist: "A", title: "One", duration_seconds: 200, genre: "Pop" },
+  2: { artist: "B", title: "Two", duration_seconds: 300, genre: "Folk" },
+  3: { artist: "C", title: "Three", duration_seconds: 100, genre: "Pop" },
+};
+const getSong = (songID) => songs[songID];
+
+// 2024-03-01 is a Friday
+const events = [
+  { song_id: "2", timestamp: "2024-01-01T10:00:00" },
+  { song_id: "2", timestamp: "2024-01-02T10:00:00" },
+  { song_id: "1", timestamp: "2024-03-01T21:00:00" },
+  { song_id: "1", timestamp: "2024-03-02T10:00:00" },
+  { song_id: "1", timestamp: "2024-03-03T10:00:00" },
+  { song_id: "3", timestamp: "2024-03-03T11:00:00" },
+];
+const stats = computeUserStats(events, getSong, {
+  timeWindows: [FRIDAY_NIGHT],
+});
+const titles = (playlist) => playlist.songs.map(({ title }) => title);
+
+describe("generatePlaylist()", () => {
+  test("Lists the most played songs first", () => {
+    const playlist = generatePlaylist(stats, "top");
+
+    expect(titles(playlist)).toEqual(["One", "Two", "Three"]);
+    expect(playlist.durationSeconds).toBe(600);
+  });
+
+  test("Only uses Friday night plays for the Friday night mix", () => {
+    expect(titles(generatePlaylist(stats, "friday-night"))).toEqual(["One"]);
+  });
+
+  test("Finds favourites that were not played recently", () => {
+    const playlist = generatePlaylist(stats, "forgotten-favourites");
+
+    expect(titles(playlist)).toEqual(["Two"]);
+  });
+
+  test("Takes turns between genres", () => {
+    const playlist = generatePlaylist(stats, "genre-mix");
+
+    expect(titles(playlist)).toEqual(["One", "Two", "Three"]);
+  });
+
+  test("Rejects unknown playlist types", () => {
+    expect(() => generatePlaylist(stats, "road-trip")).toThrow(
+      "Unknown playlist type"
+    );
+  });
+});
+
+describe("fitToDuration()", () => {
+  test("Skips songs that would go over the target", () => {
+    const fitted = fitToDuration(Object.values(songs), { targetSeconds: 350 });
+
+    expect(fitted.map(({ title }) => title)).toEqual(["One", "Three"]);
+  });
+});
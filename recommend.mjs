@@ -0,0 +1,106 @@
+// Offline song recommendations built from co-listening between users and the
+// user's own artist and genre affinity.
+
+import { rankNeighbours, toShares } from "./similarity.mjs";
+import { songGenres, songKeyOf } from "./stats.mjs";
+
+// How much each signal contributes to a suggestion's score
+const WEIGHTS = { coListening: 0.5, artist: 0.3, genre: 0.2 };
+
+/**
+ * Suggests songs a user has not played, or rarely plays.
+ * Candidates come from the song catalogue when there is one, and from every
+ * user's history. Each is scored on how much the user's neighbours (weighted
+ * by similarity) play it, and on the user's share of plays for its artist and
+ * genres (averaged over the song's genres).
+ * @param {string} userID - The user to recommend songs to.
+ * @param {Object<string, object>} statsByUser - `computeUserStats` results keyed by user ID.
+ * @param {object} [options]
+ * @param {number} [options.maxPlays] - Songs played more often than this are
+ *   not suggested. Defaults to 2.
+ * @param {number} [options.limit] - How many suggestions to return. Defaults to 5.
+ * @param {object} [options.similarity] - Passed on to `rankNeighbours`.
+ * @param {object[]} [options.catalogue] - Every song the data source knows,
+ *   so songs nobody has played yet can be suggested too.
+ * @returns {Array<{key: string, song: object, score: number, reason: string}>}
+ *   The suggestions, best first.
+ */
+export function recommendSongs(userID, statsByUser, options = {}) {
+  const { maxPlays = 2, limit = 5 } = options;
+  const stats = statsByUser[userID];
+  const neighbours = rankNeighbours(userID, statsByUser, options.similarity);
+  const artistShares = toShares(stats.tallies.artistCount);
+  const genreShares = toShares(stats.tallies.genreCount);
+
+  // Every song in the catalogue or anyone's history is a candidate
+  const catalogue = Object.assign(
+    {},
+    ...(options.catalogue || []).map((song) => ({ [songKeyOf(song)]: song })),
+    ...Object.values(statsByUser).map((userStats) => userStats.songs)
+  );
+
+  return Object.entries(catalogue)
+    .filter(([key]) => (stats.tallies.songCount[key] || 0) <= maxPlays)
+    .map(([key, song]) => {
+      // Neighbours' share of plays on this song, weighted by their similarity
+      let coListening = 0,
+        topNeighbour = null,
+        topContribution = 0;
+      for (const { userID: otherID, similarity } of neighbours) {
+        const other = statsByUser[otherID];
+        const contribution =
+          (similarity * (other.tallies.songCount[key] || 0)) / other.eventCount;
+        coListening += contribution;
+        if (contribution > topContribution) {
+          topNeighbour = other;
+          topContribution = contribution;
+        }
+      }
+
+      const genres = songGenres(song);
+      const genreShare =
+        genres.reduce((sum, genre) => sum + (genreShares[genre] || 0), 0) /
+        genres.length;
+      const signals = {
+        coListening: coListening * WEIGHTS.coListening,
+        artist: (artistShares[song.artist] || 0) * WEIGHTS.artist,
+        genre: genreShare * WEIGHTS.genre,
+      };
+      const score = signals.coListening + signals.artist + signals.genre;
+
+      return {
+        key,
+        song,
+        score,
+        reason: explain(signals, song, stats, topNeighbour, genreShares),
+      };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+// Describes the strongest signal behind a suggestion
+function explain(signals, song, stats, topNeighbour, genreShares) {
+  const strongest = Object.keys(signals).reduce((a, b) =>
+    signals[a] >= signals[b] ? a : b
+  );
+
+  if (strongest === "coListening" && topNeighbour) {
+    // Name the user's favourite artist that the neighbour also plays
+    const sharedArtist = stats.leaderboards.artists.byCount.find(
+      ({ key }) => topNeighbour.tallies.artistCount[key]
+    );
+    return sharedArtist
+      ? `popular with users who also play ${sharedArtist.key}`
+      : "popular with listeners like you";
+  }
+  if (strongest === "artist") {
+    return `you often play ${song.artist}`;
+  }
+  // Name the song's genre the user plays most
+  const genre = songGenres(song).reduce((a, b) =>
+    (genreShares[a] || 0) >= (genreShares[b] || 0) ? a : b
+  );
+  return `you listen to a lot of ${genre}`;
+}
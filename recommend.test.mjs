@@ -0,0 +1,88 @@
+import { describe, test, expect } from "@jest/globals";
+import { recommendSongs } from "./recommend.mjs";
+import { computeUserStats } from "./stats.mjs";
+
+const songs = {
+  1: {
+    artist: "Frank Turner",
+    title: "One",
+    genre: "Folk",
+    duration_seconds: 100,
+  },
+  2: {
+    artist: "Frank Turner",
+    title: "Two",
+    genre: "Folk",
+    duration_seconds: 100,
+  },
+  3: {
+    artist: "Faithless",
+    title: "Insomnia",
+    genre: "House",
+    duration_seconds: 500,
+  },
+  4: {
+    artist: "Ani DiFranco",
+    title: "As Is",
+    genre: "Folk",
+    duration_seconds: 200,
+  },
+};
+const songLookup = (id) => songs[id];
+const statsFor = (songIDs) =>
+  computeUserStats(
+    songIDs.map((song_id) => ({ song_id, timestamp: "2024-08-01T10:00:00" })),
+    songLookup
+  );
+
+describe("recommendSongs()", () => {
+  const statsByUser = {
+    1: statsFor(["1", "1", "1"]),
+    2: statsFor(["1", "3", "3"]),
+    3: statsFor(["4", "2"]),
+  };
+
+  test("Suggests unplayed songs with a reason, best first", () => {
+    const recommendations = recommendSongs("1", statsByUser);
+
+    expect(recommendations.map(({ key }) => key)).toEqual([
+      "Frank Turner - Two",
+      "Ani DiFranco - As Is",
+      "Faithless - Insomnia",
+    ]);
+    expect(recommendations.map(({ reason }) => reason)).toEqual([
+      "you often play Frank Turner",
+      "you listen to a lot of Folk",
+      "popular with users who also play Frank Turner",
+    ]);
+  });
+
+  test("Leaves out songs the user already plays often", () => {
+    const recommendations = recommendSongs("2", statsByUser, { maxPlays: 0 });
+
+    expect(recommendations.map(({ key }) => key)).not.toContain(
+      "Faithless - Insomnia"
+    );
+    expect(recommendSongs("1", statsByUser, { limit: 1 })).toHaveLength(1);
+  });
+
+  test("Suggests catalogue songs nobody has played yet", () => {
+    const unplayed = {
+      artist: "Frank Turner",
+      title: "Three",
+      genre: "Folk",
+      duration_seconds: 100,
+    };
+
+    const recommendations = recommendSongs("1", statsByUser, {
+      catalogue: [...Object.values(songs), unplayed],
+    });
+
+    expect(recommendations).toContainEqual({
+      key: "Frank Turner - Three",
+      song: unplayed,
+      score: expect.any(Number),
+      reason: "you often play Frank Turner",
+    });
+  });
+});
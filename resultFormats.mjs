@@ -0,0 +1,121 @@
+// Serialises results table rows (as built by formatResults) for download.
+// Every format covers one or more users, given as rows keyed by user ID.
+
+const COLUMNS = ["question", "answer", "score"];
+
+function escapeCSV(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? "")
+    .replace(/\|/g, "\\|")
+    .replace(/\n/g, " ");
+}
+
+/**
+ * One CSV line per question, with the user in the first column.
+ * @param {Object<string, object[]>} resultsByUser - Table rows keyed by user ID.
+ * @returns {string} The file contents.
+ */
+export function toCSV(resultsByUser) {
+  const lines = [["user", ...COLUMNS].join(",")];
+  for (const [userID, rows] of Object.entries(resultsByUser)) {
+    for (const row of rows) {
+      lines.push(
+        [userID, ...COLUMNS.map((column) => row[column])]
+          .map(escapeCSV)
+          .join(",")
+      );
+    }
+  }
+  return lines.join("\n").concat("\n");
+}
+
+/**
+ * The rows of each user, including the leaderboards behind the scores.
+ * @param {Object<string, object[]>} resultsByUser - Table rows keyed by user ID.
+ * @returns {string} The file contents.
+ */
+export function toJSON(resultsByUser) {
+  const users = Object.fromEntries(
+    Object.entries(resultsByUser).map(([userID, rows]) => [
+      userID,
+      rows.map(({ question, answer, score, leaderboard }) => ({
+        question,
+        answer,
+        score: score ?? null,
+        ...(leaderboard && { leaderboard }),
+      })),
+    ])
+  );
+  return JSON.stringify(users, null, 2);
+}
+
+/**
+ * A heading and a question/answer/score table per user.
+ * @param {Object<string, object[]>} resultsByUser - Table rows keyed by user ID.
+ * @returns {string} The file contents.
+ */
+export function toMarkdown(resultsByUser) {
+  const sections = Object.entries(resultsByUser).map(([userID, rows]) => {
+    if (rows.length === 0) {
+      return `## User ${userID}\n\nNo music for this user\n`;
+    }
+
+    return [
+      `## User ${userID}`,
+      "",
+      "| Question | Answer | Score |",
+      "| --- | --- | --- |",
+      ...rows.map(
+        (row) =>
+          `| ${COLUMNS.map((column) => escapeMarkdown(row[column])).join(
+            " | "
+          )} |`
+      ),
+      "",
+    ].join("\n");
+  });
+  return sections.join("\n");
+}
+
+export const RESULT_FORMATS = [
+  { id: "csv", label: "CSV", mimeType: "text/csv", serialize: toCSV },
+  {
+    id: "json",
+    label: "JSON",
+    mimeType: "application/json",
+    serialize: toJSON,
+  },
+  {
+    id: "md",
+    label: "Markdown",
+    mimeType: "text/markdown",
+    serialize: toMarkdown,
+  },
+];
+
+/**
+ * Turns table rows into a file in one of the `RESULT_FORMATS`.
+ * @param {Object<string, object[]>} resultsByUser - Table rows keyed by user ID.
+ * @param {string} format - A format ID, e.g. "csv".
+ * @returns {{filename: string, content: string, mimeType: string}} Named after
+ *   the user, or "all-users" when there is more than one.
+ */
+export function exportResults(resultsByUser, format) {
+  const resultFormat = RESULT_FORMATS.find(({ id }) => id === format);
+  if (!resultFormat) {
+    throw new Error(`Unknown results format: ${format}`);
+  }
+
+  const userIDs = Object.keys(resultsByUser);
+  const name = userIDs.length === 1 ? `user-${userIDs[0]}` : "all-users";
+
+  return {
+    filename: `music-results-${name}.${resultFormat.id}`,
+    content: resultFormat.serialize(resultsByUser),
+    mimeType: resultFormat.mimeType,
+  };
+}
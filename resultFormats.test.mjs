@@ -0,0 +1,67 @@
+import { describe, test, expect } from "@jest/globals";
+import { exportResults, toCSV, toJSON, toMarkdown } from "./resultFormats.mjs";
+
+const resultsByUser = {
+  1: [
+    {
+      question: "Most listened song (count)",
+      answer: 'A - One, B - "Two"',
+      score: "3 plays",
+      leaderboard: [{ rank: 1, key: "A - One", count: 3 }],
+      songs: [{ artist: "A", title: "One" }],
+    },
+    { question: "Average session length", answer: "3m 20s" },
+  ],
+  2: [],
+};
+
+describe("toCSV()", () => {
+  test("Quotes answers containing commas and quotes", () => {
+    expect(toCSV(resultsByUser).split("\n")).toEqual([
+      "user,question,answer,score",
+      '1,Most listened song (count),"A - One, B - ""Two""",3 plays',
+      "1,Average session length,3m 20s,",
+      "",
+    ]);
+  });
+});
+
+describe("toJSON()", () => {
+  test("Keeps the leaderboards but not the songs", () => {
+    const users = JSON.parse(toJSON(resultsByUser));
+
+    expect(users[1][0].leaderboard).toHaveLength(1);
+    expect(users[1][0].songs).toBeUndefined();
+    expect(users[1][1].score).toBeNull();
+    expect(users[2]).toEqual([]);
+  });
+});
+
+describe("toMarkdown()", () => {
+  test("Writes a table per user", () => {
+    const markdown = toMarkdown(resultsByUser);
+
+    expect(markdown).toContain("## User 1");
+    expect(markdown).toContain(
+      '| Most listened song (count) | A - One, B - "Two" | 3 plays |'
+    );
+    expect(markdown).toContain("## User 2\n\nNo music for this user");
+  });
+});
+
+describe("exportResults()", () => {
+  test("Names bulk exports after all users", () => {
+    expect(exportResults(resultsByUser, "md").filename).toBe(
+      "music-results-all-users.md"
+    );
+    expect(exportResults({ 3: [] }, "csv").filename).toBe(
+      "music-results-user-3.csv"
+    );
+  });
+
+  test("Rejects unknown formats", () => {
+    expect(() => exportResults(resultsByUser, "xlsx")).toThrow(
+      "Unknown results format"
+    );
+  });
+});
@@ -1,10 +1,643 @@
-import { getUserIDs } from "./data.mjs";
-import { processUserData } from "./common.mjs";
+import {
+  createMemorySource,
+  createStaticSource,
+  getDataSource,
+  getTimeZone,
+  getUserIDs,
+  getWritableDataSource,
+  loadHTTPSource,
+  loadJSONFileSource,
+  setDataSource,
+} from "./dataSource.mjs";
+import {
+  collectResults,
+  describeDayThreshold,
+  formatDuration,
+  formatPlays,
+  formatShare,
+  getUsableEvents,
+  processComparison,
+  processPlaylist,
+  processUserData,
+} from "./common.mjs";
+import {
+  DATE_RANGE_PRESETS,
+  formatMonthLabel,
+  listEventMonths,
+} from "./dateRange.mjs";
+import {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  importListens,
+  parseCSV,
+} from "./csvImport.mjs";
+import { PLAYLIST_TYPES } from "./playlists.mjs";
+import { importScrobbles } from "./scrobbleImport.mjs";
+import { importSpotifyHistory, parseSpotifyHistory } from "./spotifyImport.mjs";
+import { PLAYLIST_FORMATS, exportPlaylist } from "./playlistFormats.mjs";
+import { RESULT_FORMATS, exportResults } from "./resultFormats.mjs";
+import { DEFAULT_IDLE_GAP_MINUTES } from "./sessions.mjs";
+import { mostLikelyNext } from "./transitions.mjs";
+import { validateDataset } from "./validation.mjs";
+import {
+  clearStoredData,
+  loadStoredDataset,
+  openDatabase,
+  saveDataset,
+} from "./storage.mjs";
+import {
+  getViewerTimeZone,
+  isValidTimeZone,
+  listTimeZones,
+} from "./timeZones.mjs";
+import {
+  FRIDAY_NIGHT,
+  DAY_NAMES,
+  PREDEFINED_TIME_WINDOWS,
+  createTimeWindow,
+  describeTimeWindow,
+} from "./timeWindows.mjs";
+
+// Thresholds offered for the "almost every day" songs question
+const ALMOST_EVERY_DAY_THRESHOLDS = [
+  { ratio: 0.8 },
+  { ratio: 0.9 },
+  { ratio: 0.5 },
+  { minDays: 20, lastDays: 30 },
+  { minDays: 5, lastDays: 7 },
+];
+
+// Time windows the user can ask about; custom ones are added from the form
+const timeWindows = [...PREDEFINED_TIME_WINDOWS];
+const activeTimeWindowIDs = new Set([FRIDAY_NIGHT.id]);
+
+//------------------------------ Section style ------------------------------
+const sectionStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  rowGap: "10px",
+  justifyContent: "center",
+  alignItems: "center",
+  padding: "10px",
+  backgroundColor: "lightblue",
+  borderRadius: "8px",
+  marginBottom: "20px",
+  boxShadow: "0 4px 8px rgba(0, 0, 0, 0.1)",
+  color: "#000",
+};
+
+//--------------------------- Dropdown select style -------------------------
+const dropdownStyle = {
+  padding: "12px 20px",
+  fontSize: "16px",
+  border: "2px solid #007BFF",
+  borderRadius: "8px",
+  backgroundColor: "#ffffff",
+  color: "#333",
+  cursor: "pointer",
+  width: "200px",
+  transition: "all 0.3s ease",
+  marginLeft: "1rem",
+};
+
+//------------------------------ Data source choice ------------------------------
+// Sources the user can switch between; file and HTTP sources are loaded on demand
+const DATA_SOURCES = [
+  { id: "static", label: "Built-in dataset" },
+  { id: "memory", label: "In-memory store" },
+  { id: "file", label: "JSON file" },
+  { id: "http", label: "HTTP endpoint" },
+];
+let selectedSourceID = "static";
+let dataSourceURL = "";
+
+function createDataSourceSection() {
+  const sourceSection = document.createElement("section");
+  sourceSection.id = "dataSourceSection";
+  Object.assign(sourceSection.style, sectionStyle, { gap: "10px" });
+
+  const sourceLabel = document.createElement("label");
+  sourceLabel.setAttribute("for", "dataSourceDropdown");
+  sourceLabel.textContent = "Data source:";
+  const sourceSelector = document.createElement("select");
+  sourceSelector.id = "dataSourceDropdown";
+  Object.assign(sourceSelector.style, dropdownStyle, { width: "auto" });
+  DATA_SOURCES.forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    sourceSelector.appendChild(option);
+  });
+  sourceSelector.value = selectedSourceID;
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.id = "dataSourceFile";
+  fileInput.accept = ".json,application/json";
+  fileInput.setAttribute("aria-label", "Dataset file");
+
+  const urlInput = document.createElement("input");
+  urlInput.type = "url";
+  urlInput.id = "dataSourceURL";
+  urlInput.placeholder = "https://example.com/dataset.json";
+  urlInput.value = dataSourceURL;
+  urlInput.setAttribute("aria-label", "Dataset URL");
+
+  const loadButton = document.createElement("button");
+  loadButton.id = "dataSourceButton";
+  loadButton.textContent = "Load";
+
+  const checkButton = document.createElement("button");
+  checkButton.id = "validateButton";
+  checkButton.textContent = "Check dataset";
+  checkButton.addEventListener("click", () => {
+    deleteElement("validationReport");
+    sourceSection.appendChild(
+      renderValidationReport(validateDataset(getDataSource()))
+    );
+  });
+
+  const error = document.createElement("span");
+  error.id = "dataSourceError";
+  error.style.color = "#b00020";
+
+  // Only show the input the chosen source needs
+  const showSourceInputs = () => {
+    fileInput.style.display = sourceSelector.value === "file" ? "" : "none";
+    urlInput.style.display = sourceSelector.value === "http" ? "" : "none";
+  };
+  sourceSelector.addEventListener("change", showSourceInputs);
+  showSourceInputs();
+
+  loadButton.addEventListener("click", async () => {
+    error.textContent = "";
+    try {
+      const sourceID = sourceSelector.value;
+      if (sourceID === "static") {
+        setDataSource(createStaticSource());
+        await restoreStoredData();
+      } else if (sourceID === "memory") {
+        setDataSource(createMemorySource());
+      } else if (sourceID === "file") {
+        setDataSource(await loadJSONFileSource(fileInput.files[0]));
+      } else {
+        setDataSource(await loadHTTPSource(urlInput.value));
+        dataSourceURL = urlInput.value;
+      }
+      selectedSourceID = sourceID;
+      importReport = null;
+      createContent();
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+
+  sourceSection.append(
+    sourceLabel,
+    sourceSelector,
+    fileInput,
+    urlInput,
+    loadButton,
+    checkButton,
+    error
+  );
+  return sourceSection;
+}
+
+// Summary of `validateDataset`, with each error and warning listed
+function renderValidationReport(report) {
+  const { userCount, eventCount, affectedEvents, errors, warnings } = report;
+  const reportView = document.createElement("div");
+  reportView.id = "validationReport";
+  reportView.style.flexBasis = "100%";
+
+  const summary = document.createElement("p");
+  summary.textContent =
+    `Checked ${plural(eventCount, "listen")} of ${plural(
+      userCount,
+      "user"
+    )}: ${plural(errors.length, "error")}, ` +
+    `${plural(warnings.length, "warning")}, ` +
+    `${plural(affectedEvents, "listen")} affected.` +
+    (errors.length > 0
+      ? " Listens with errors are left out of the results."
+      : "");
+  reportView.appendChild(summary);
+
+  const issues = [...errors, ...warnings].map(
+    ({ severity, message, userID, index }) =>
+      userID === undefined
+        ? `${severity}: ${message}`
+        : `${severity}: user ${userID}, listen ${index + 1}: ${message}`
+  );
+  if (issues.length > 0) {
+    reportView.appendChild(createIssueList(issues));
+  }
+  return reportView;
+}
+
+// Lists up to MAX_REPORTED_ROWS problems and counts the rest
+function createIssueList(issues) {
+  const list = document.createElement("ul");
+  issues.slice(0, MAX_REPORTED_ROWS).forEach((issue) => {
+    const item = document.createElement("li");
+    item.textContent = issue;
+    list.appendChild(item);
+  });
+  if (issues.length > MAX_REPORTED_ROWS) {
+    const item = document.createElement("li");
+    item.textContent = `…and ${issues.length - MAX_REPORTED_ROWS} more`;
+    list.appendChild(item);
+  }
+  return list;
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+//------------------------------ Listening history import ------------------------------
+// The CSV waiting for its columns to be mapped, and the outcome of the last import
+let pendingCSV = null;
+let importReport = null;
+// Rejected rows and data issues listed in reports; the rest are only counted
+const MAX_REPORTED_ROWS = 50;
+
+function createImportSection() {
+  const importSection = document.createElement("section");
+  importSection.id = "importSection";
+  Object.assign(importSection.style, sectionStyle, { gap: "10px" });
+
+  const fileLabel = document.createElement("label");
+  fileLabel.setAttribute("for", "csvFile");
+  fileLabel.textContent = "Import listens from CSV:";
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.id = "csvFile";
+  fileInput.accept = ".csv,text/csv";
+
+  const error = document.createElement("span");
+  error.id = "importError";
+  error.style.color = "#b00020";
+
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    error.textContent = "";
+    if (!file) return;
+
+    const [headers, ...rows] = parseCSV(await file.text());
+    if (!headers || rows.length === 0) {
+      error.textContent = `${file.name} has no listens`;
+      return;
+    }
+    pendingCSV = { fileName: file.name, headers, rows };
+    deleteElement("csvMappingForm");
+    importSection.insertBefore(createColumnMappingForm(error), error);
+  });
+
+  // Times in exports without an offset are read in this zone for new users
+  const zoneLabel = document.createElement("label");
+  zoneLabel.setAttribute("for", "importTimeZone");
+  zoneLabel.textContent = "New listeners' time zone:";
+  const zoneInput = document.createElement("input");
+  zoneInput.id = "importTimeZone";
+  zoneInput.setAttribute("list", "timeZoneList");
+  zoneInput.value = getViewerTimeZone();
+  zoneInput.style.width = "180px";
+
+  importSection.append(
+    zoneLabel,
+    zoneInput,
+    fileLabel,
+    fileInput,
+    ...createServiceImports(error),
+    error,
+    ...createStorageStatus()
+  );
+  if (importReport) {
+    importSection.appendChild(renderImportReport(importReport));
+  }
+  return importSection;
+}
+
+// One dropdown per field, listing the CSV columns, with a guess preselected
+function createColumnMappingForm(error) {
+  const form = document.createElement("form");
+  form.id = "csvMappingForm";
+  Object.assign(form.style, {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: "6px",
+  });
+
+  const guess = guessColumnMapping(pendingCSV.headers);
+  const selectors = IMPORT_FIELDS.map(({ id, label, required }) => {
+    const fieldLabel = document.createElement("label");
+    fieldLabel.textContent = required ? `${label}:` : `${label} (optional):`;
+
+    const columnSelector = document.createElement("select");
+    columnSelector.name = id;
+    const noColumn = document.createElement("option");
+    noColumn.value = "";
+    noColumn.textContent = "—";
+    columnSelector.appendChild(noColumn);
+    pendingCSV.headers.forEach((header, index) => {
+      const option = document.createElement("option");
+      option.value = index;
+      option.textContent = header || `Column ${index + 1}`;
+      columnSelector.appendChild(option);
+    });
+    columnSelector.value = guess[id] ?? "";
+
+    fieldLabel.appendChild(columnSelector);
+    return fieldLabel;
+  });
+
+  const importButton = document.createElement("button");
+  importButton.type = "submit";
+  importButton.textContent = `Import ${pendingCSV.rows.length} rows`;
+
+  form.append(...selectors, importButton);
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    error.textContent = "";
+
+    const mapping = {};
+    form.querySelectorAll("select").forEach((columnSelector) => {
+      if (columnSelector.value !== "") {
+        mapping[columnSelector.name] = Number(columnSelector.value);
+      }
+    });
+
+    try {
+      await applyImport(pendingCSV.fileName, (options) =>
+        importListens(pendingCSV.rows, mapping, options)
+      );
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+
+  return form;
+}
+
+// Spotify "extended streaming history" files and Last.fm or ListenBrainz
+// scrobble exports, filed under the user ID entered (or the one in the export)
+function createServiceImports(error) {
+  const userInput = document.createElement("input");
+  userInput.id = "importUserID";
+  userInput.placeholder = "User ID (default: from the export)";
+  userInput.setAttribute("aria-label", "User ID for the imported history");
+  userInput.style.width = "240px";
+  const userID = () => userInput.value.trim() || undefined;
+
+  const spotifyLabel = document.createElement("label");
+  spotifyLabel.setAttribute("for", "spotifyFiles");
+  spotifyLabel.textContent = "Spotify history (JSON):";
+  const spotifyInput = document.createElement("input");
+  spotifyInput.type = "file";
+  spotifyInput.id = "spotifyFiles";
+  spotifyInput.accept = ".json,application/json";
+  spotifyInput.multiple = true;
+
+  const scrobbleLabel = document.createElement("label");
+  scrobbleLabel.setAttribute("for", "scrobbleFiles");
+  scrobbleLabel.textContent = "Last.fm / ListenBrainz export:";
+  const scrobbleInput = document.createElement("input");
+  scrobbleInput.type = "file";
+  scrobbleInput.id = "scrobbleFiles";
+  scrobbleInput.accept = ".csv,.json,.jsonl,text/csv,application/json";
+  scrobbleInput.multiple = true;
+
+  // Imports every chosen file as one batch
+  const importFiles = (input, importer) => async () => {
+    const files = [...input.files];
+    error.textContent = "";
+    if (files.length === 0) return;
+
+    try {
+      const texts = await Promise.all(files.map((file) => file.text()));
+      await applyImport(files.map(({ name }) => name).join(", "), (options) =>
+        importer(files, texts, { ...options, userID: userID() })
+      );
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  };
+
+  spotifyInput.addEventListener(
+    "change",
+    importFiles(spotifyInput, (files, texts, options) =>
+      importSpotifyHistory(
+        texts.flatMap((text, index) =>
+          parseSpotifyHistory(text, files[index].name)
+        ),
+        options
+      )
+    )
+  );
+  scrobbleInput.addEventListener(
+    "change",
+    importFiles(scrobbleInput, (files, texts, options) => {
+      // Each file also matches the songs of the files before it
+      let catalogue = options.catalogue;
+      const imports = texts.map((text, index) => {
+        const imported = importScrobbles(text, files[index].name, {
+          ...options,
+          catalogue,
+        });
+        catalogue = [...catalogue, ...imported.songs];
+        return imported;
+      });
+      return mergeImports(imports);
+    })
+  );
+
+  return [userInput, spotifyLabel, spotifyInput, scrobbleLabel, scrobbleInput];
+}
+
+// Combines the results of importing several files
+function mergeImports(imports) {
+  const songs = new Map();
+  const listens = {};
+  const timeZones = {};
+  for (const imported of imports) {
+    imported.songs.forEach((song) => songs.set(song.id, song));
+    Object.assign(timeZones, imported.timeZones);
+    for (const [userID, events] of Object.entries(imported.listens)) {
+      listens[userID] = [...(listens[userID] || []), ...events];
+    }
+  }
+  return {
+    songs: [...songs.values()],
+    listens,
+    timeZones,
+    rejected: imports.flatMap(({ rejected }) => rejected),
+  };
+}
+
+// Adds imported songs and listens to the data in use, saves them in the
+// browser and shows the report. Known users keep their time zone; new ones get
+// the zone chosen for the import.
+async function applyImport(fileName, importer) {
+  const zoneInput = document.getElementById("importTimeZone");
+  if (!isValidTimeZone(zoneInput.value)) {
+    throw new Error(`Unknown time zone "${zoneInput.value}"`);
+  }
+
+  const source = getWritableDataSource();
+  const imported = importer({
+    catalogue: source.getSongs(),
+    timeZones: Object.fromEntries(
+      source.getUserIDs().map((userID) => [userID, getTimeZone(userID)])
+    ),
+    timeZone: zoneInput.value,
+  });
+  source.addDataset(imported);
+
+  // Saved listens may refer to songs of any source, so their songs go too
+  const songIDs = new Set(
+    Object.values(imported.listens).flatMap((events) =>
+      events.map((event) => event.song_id)
+    )
+  );
+  await storeDataset({
+    songs: [...songIDs].map((songID) => source.getSong(songID)),
+    listens: imported.listens,
+    timeZones: imported.timeZones,
+  });
+
+  importReport = { fileName, ...imported };
+  pendingCSV = null;
+  selectedSourceID = "memory";
+  createContent();
+}
+
+function renderImportReport({ fileName, songs, listens, rejected }) {
+  const report = document.createElement("div");
+  report.id = "importReport";
+  report.style.flexBasis = "100%";
+
+  const eventCount = Object.values(listens).reduce(
+    (sum, events) => sum + events.length,
+    0
+  );
+  const summary = document.createElement("p");
+  summary.textContent =
+    `Imported ${plural(eventCount, "listen")} for ${plural(
+      Object.keys(listens).length,
+      "user"
+    )} from ${fileName}, with ${plural(songs.length, "new song")}.` +
+    (rejected.length > 0
+      ? ` ${plural(rejected.length, "record")} could not be imported:`
+      : "");
+  report.appendChild(summary);
+
+  if (rejected.length > 0) {
+    report.appendChild(
+      createIssueList(
+        // CSV rows are numbered by line, JSON entries by position
+        rejected.map(
+          ({ line, entry, reason, row }) =>
+            `${line ? `Line ${line}` : `Entry ${entry}`}: ${reason} (${row.join(
+              ", "
+            )})`
+        )
+      )
+    );
+  }
+
+  return report;
+}
+
+//------------------------------ Data saved in the browser ------------------------------
+// The IndexedDB database once opened, the users with listens saved in it, and
+// the last problem saving or loading
+let storage = null;
+let storedUserIDs = new Set();
+let storageMessage = "";
+
+// Opens the database and adds what it holds to the data in use
+async function restoreStoredData() {
+  try {
+    storage = storage || (await openDatabase());
+    const stored = await loadStoredDataset(storage);
+    storedUserIDs = new Set(Object.keys(stored.listens));
+    if (storedUserIDs.size > 0 || Object.keys(stored.timeZones).length > 0) {
+      getWritableDataSource().addDataset(stored);
+    }
+  } catch (err) {
+    storageMessage = `Saved data is unavailable: ${err.message}`;
+  }
+}
+
+// Saves data in the browser when it can; a failure only shows a message
+async function storeDataset(dataset) {
+  if (!storage) return;
+  try {
+    await saveDataset(storage, dataset);
+    Object.keys(dataset.listens || {}).forEach((userID) =>
+      storedUserIDs.add(userID)
+    );
+    storageMessage = "";
+  } catch (err) {
+    storageMessage = `Could not save in this browser: ${err.message}`;
+  }
+  updateStorageStatus();
+}
+
+function createStorageStatus() {
+  const status = document.createElement("span");
+  status.id = "storageStatus";
+
+  const clearButton = document.createElement("button");
+  clearButton.id = "clearStorageButton";
+  clearButton.textContent = "Forget saved data";
+  clearButton.addEventListener("click", async () => {
+    try {
+      await clearStoredData(storage);
+      storedUserIDs = new Set();
+      setDataSource(createStaticSource());
+      selectedSourceID = "static";
+      importReport = null;
+      createContent();
+    } catch (err) {
+      storageMessage = `Could not forget the saved data: ${err.message}`;
+      updateStorageStatus();
+    }
+  });
+
+  return [status, clearButton];
+}
+
+function updateStorageStatus() {
+  const status = document.getElementById("storageStatus");
+  if (!status) return;
+
+  if (storageMessage) {
+    status.textContent = storageMessage;
+  } else if (!storage) {
+    status.textContent = "Imports last until the page is reloaded";
+  } else if (storedUserIDs.size > 0) {
+    status.textContent = `Saved in this browser: ${plural(
+      storedUserIDs.size,
+      "user"
+    )}`;
+  } else {
+    status.textContent = "Imports are saved in this browser";
+  }
+  document.getElementById("clearStorageButton").disabled =
+    !storage || storedUserIDs.size === 0;
+}
 
 //------------------------------- Generating Html Selector ------------------------------
 function createContent() {
   const container = document.querySelector(".container");
   container.innerHTML = ""; // Clear previous content
+  container.appendChild(createTimeZoneList());
+  container.appendChild(createDataSourceSection());
+  container.appendChild(createImportSection());
+  updateStorageStatus();
 
   const userSection = document.createElement("section");
   userSection.id = "userSection";
@@ -28,7 +661,9 @@ function createContent() {
   users.forEach((userID) => {
     const option = document.createElement("option");
     option.value = userID;
-    option.textContent = `User ${userID} 🎧`;
+    option.textContent = storedUserIDs.has(userID)
+      ? `User ${userID} 🎧 (saved)`
+      : `User ${userID} 🎧`;
     userSelector.appendChild(option);
   });
 
@@ -36,41 +671,642 @@ function createContent() {
   container.appendChild(userSection);
   userSection.appendChild(userLabel);
   userSection.appendChild(userSelector);
+  userSection.append(
+    ...createCompareSelector(users),
+    ...createDateRangeSelector(),
+    ...createTopNInput(),
+    ...createThresholdSelector(),
+    ...createSessionGapInput(),
+    ...createSimilaritySelector(),
+    ...createTimeZoneSelector()
+  );
+  container.appendChild(createTimeWindowSection());
+  container.appendChild(createPlaylistSection());
+  container.appendChild(createResultExportSection());
 
   //------------------------ style userSection section -------------------------
-  Object.assign(userSection.style, {
-    display: "flex",
-    justifyContent: "center",
-    alignItems: "center",
-    padding: "10px",
-    backgroundColor: "lightblue",
-    borderRadius: "8px",
-    marginBottom: "20px",
-    boxShadow: "0 4px 8px rgba(0, 0, 0, 0.1)",
-    color: "#000",
-  });
-
-  //--------------------------- Dropdown select style -------------------------
-  Object.assign(userSelector.style, {
-    padding: "12px 20px",
-    fontSize: "16px",
-    border: "2px solid #007BFF",
-    borderRadius: "8px",
-    backgroundColor: "#ffffff",
-    color: "#333",
-    cursor: "pointer",
-    width: "200px",
-    transition: "all 0.3s ease",
-    marginLeft: "1rem",
-  });
+  Object.assign(userSection.style, sectionStyle);
+
+  Object.assign(userSelector.style, dropdownStyle);
 
   //---------------------------- Event Listener --------------------------------
   userSelector.addEventListener("change", (event) => {
     const userID = event.target.value;
     if (userID) {
-      processUserData(userID);
+      showListenerTimeZone();
+      populateRangeOptions(listSelectedMonths());
+      refreshResults();
+    }
+  });
+}
+
+//---------------------------- Compare with selector ------------------------------
+function createCompareSelector(users) {
+  const compareLabel = document.createElement("label");
+  compareLabel.setAttribute("for", "compareDropdown");
+  compareLabel.textContent = "Compare with:";
+  compareLabel.style.marginLeft = "2rem";
+
+  const compareSelector = document.createElement("select");
+  compareSelector.id = "compareDropdown";
+  Object.assign(compareSelector.style, dropdownStyle);
+
+  const noneOption = document.createElement("option");
+  noneOption.value = "";
+  noneOption.textContent = "Nobody";
+  compareSelector.appendChild(noneOption);
+
+  users.forEach((userID) => {
+    const option = document.createElement("option");
+    option.value = userID;
+    option.textContent = `User ${userID} 🎧`;
+    compareSelector.appendChild(option);
+  });
+
+  compareSelector.addEventListener("change", () => {
+    populateRangeOptions(listSelectedMonths());
+    refreshResults();
+  });
+
+  return [compareLabel, compareSelector];
+}
+
+// Months either selected user listened in, offered as period presets
+function listSelectedMonths() {
+  const events = ["userDropdown", "compareDropdown"]
+    .map((id) => document.getElementById(id).value)
+    .filter(Boolean)
+    .flatMap((userID) => getUsableEvents(userID, getSelectedOptions()));
+
+  return listEventMonths(events);
+}
+
+//---------------------------- Date range selector ------------------------------
+function createDateRangeSelector() {
+  const rangeLabel = document.createElement("label");
+  rangeLabel.setAttribute("for", "rangeDropdown");
+  rangeLabel.textContent = "Period:";
+  rangeLabel.style.marginLeft = "2rem";
+
+  const rangeSelector = document.createElement("select");
+  rangeSelector.id = "rangeDropdown";
+  Object.assign(rangeSelector.style, dropdownStyle);
+
+  // Start and end inputs, only shown for a custom range
+  const dateInputs = ["rangeStart", "rangeEnd"].map((id) => {
+    const input = document.createElement("input");
+    input.type = "date";
+    input.id = id;
+    input.setAttribute("aria-label", id === "rangeStart" ? "From" : "To");
+    Object.assign(input.style, {
+      ...dropdownStyle,
+      width: "auto",
+      padding: "10px",
+      display: "none",
+    });
+    input.addEventListener("change", refreshResults);
+    return input;
+  });
+
+  rangeSelector.addEventListener("change", () => {
+    const isCustom = rangeSelector.value === "custom";
+    dateInputs.forEach((input) => {
+      input.style.display = isCustom ? "inline-block" : "none";
+    });
+    refreshResults();
+  });
+
+  populateRangeOptions([], rangeSelector);
+
+  return [rangeLabel, rangeSelector, ...dateInputs];
+}
+
+// Fills the period dropdown with the presets plus one entry per month the
+// selected user listened in, keeping the current choice when still available.
+function populateRangeOptions(
+  months,
+  rangeSelector = document.getElementById("rangeDropdown")
+) {
+  const previousValue = rangeSelector.value || "all";
+  rangeSelector.innerHTML = "";
+
+  const choices = [
+    ...DATE_RANGE_PRESETS,
+    ...months.map((month) => ({ id: month, label: formatMonthLabel(month) })),
+    { id: "custom", label: "Custom range" },
+  ];
+
+  choices.forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    rangeSelector.appendChild(option);
+  });
+
+  rangeSelector.value = choices.some((choice) => choice.id === previousValue)
+    ? previousValue
+    : "all";
+}
+
+function getSelectedRange() {
+  const range = document.getElementById("rangeDropdown").value;
+  if (range !== "custom") {
+    return range;
+  }
+
+  return {
+    start: document.getElementById("rangeStart").value,
+    end: document.getElementById("rangeEnd").value,
+  };
+}
+
+//------------------------- Leaderboard length input ----------------------------
+function createTopNInput() {
+  const topNLabel = document.createElement("label");
+  topNLabel.setAttribute("for", "topNInput");
+  topNLabel.textContent = "Top:";
+  topNLabel.style.marginLeft = "2rem";
+
+  const topNInput = document.createElement("input");
+  topNInput.type = "number";
+  topNInput.id = "topNInput";
+  topNInput.min = "1";
+  topNInput.max = "50";
+  topNInput.value = "10";
+  Object.assign(topNInput.style, dropdownStyle, { width: "70px" });
+  topNInput.addEventListener("change", refreshResults);
+
+  return [topNLabel, topNInput];
+}
+
+//---------------------- "Almost every day" threshold select ----------------------
+function createThresholdSelector() {
+  const thresholdLabel = document.createElement("label");
+  thresholdLabel.setAttribute("for", "thresholdDropdown");
+  thresholdLabel.textContent = "Almost every day:";
+  thresholdLabel.style.marginLeft = "2rem";
+
+  const thresholdSelector = document.createElement("select");
+  thresholdSelector.id = "thresholdDropdown";
+  Object.assign(thresholdSelector.style, dropdownStyle, { width: "auto" });
+
+  ALMOST_EVERY_DAY_THRESHOLDS.forEach((threshold, index) => {
+    const option = document.createElement("option");
+    option.value = index;
+    option.textContent = describeDayThreshold(threshold);
+    thresholdSelector.appendChild(option);
+  });
+  thresholdSelector.addEventListener("change", refreshResults);
+
+  return [thresholdLabel, thresholdSelector];
+}
+
+//--------------------------- Session idle gap input ----------------------------
+function createSessionGapInput() {
+  const gapLabel = document.createElement("label");
+  gapLabel.setAttribute("for", "sessionGapInput");
+  gapLabel.textContent = "Session gap (min):";
+  gapLabel.style.marginLeft = "2rem";
+
+  const gapInput = document.createElement("input");
+  gapInput.type = "number";
+  gapInput.id = "sessionGapInput";
+  gapInput.min = "1";
+  gapInput.value = String(DEFAULT_IDLE_GAP_MINUTES);
+  Object.assign(gapInput.style, dropdownStyle, { width: "70px" });
+  gapInput.addEventListener("change", refreshResults);
+
+  return [gapLabel, gapInput];
+}
+
+//----------------------------- Time zone selector ------------------------------
+// Every time zone name, suggested by the time zone inputs
+function createTimeZoneList() {
+  const timeZoneList = document.createElement("datalist");
+  timeZoneList.id = "timeZoneList";
+  listTimeZones().forEach((timeZone) => {
+    const option = document.createElement("option");
+    option.value = timeZone;
+    timeZoneList.appendChild(option);
+  });
+  return timeZoneList;
+}
+
+// Whether days and hours are counted in the listener's time zone or the
+// viewer's, and the listener's time zone itself, which can be changed
+function createTimeZoneSelector() {
+  const modeLabel = document.createElement("label");
+  modeLabel.setAttribute("for", "timeZoneModeDropdown");
+  modeLabel.textContent = "Times in:";
+  modeLabel.style.marginLeft = "2rem";
+
+  const modeSelector = document.createElement("select");
+  modeSelector.id = "timeZoneModeDropdown";
+  Object.assign(modeSelector.style, dropdownStyle, { width: "auto" });
+  [
+    ["listener", "Listener's time zone"],
+    ["viewer", `My time zone (${getViewerTimeZone()})`],
+  ].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    modeSelector.appendChild(option);
+  });
+  modeSelector.addEventListener("change", () => {
+    populateRangeOptions(listSelectedMonths());
+    refreshResults();
+  });
+
+  const zoneInput = document.createElement("input");
+  zoneInput.id = "listenerTimeZoneInput";
+  zoneInput.setAttribute("list", "timeZoneList");
+  zoneInput.setAttribute("aria-label", "Listener's time zone");
+  zoneInput.placeholder = "Listener's time zone";
+  Object.assign(zoneInput.style, dropdownStyle, { width: "180px" });
+  zoneInput.disabled = true;
+
+  const error = document.createElement("span");
+  error.id = "timeZoneError";
+  error.style.color = "#b00020";
+
+  // The built-in dataset cannot change, so this swaps it for an in-memory copy
+  zoneInput.addEventListener("change", () => {
+    const userID = document.getElementById("userDropdown").value;
+    error.textContent = "";
+    if (!isValidTimeZone(zoneInput.value)) {
+      error.textContent = `Unknown time zone "${zoneInput.value}"`;
+      return;
+    }
+    getWritableDataSource().setTimeZone(userID, zoneInput.value);
+    storeDataset({ timeZones: { [userID]: zoneInput.value } });
+    selectedSourceID = "memory";
+    document.getElementById("dataSourceDropdown").value = selectedSourceID;
+    populateRangeOptions(listSelectedMonths());
+    refreshResults();
+  });
+
+  return [modeLabel, modeSelector, zoneInput, error];
+}
+
+// Fills the time zone input with the selected user's zone
+function showListenerTimeZone() {
+  const zoneInput = document.getElementById("listenerTimeZoneInput");
+  zoneInput.value = getTimeZone(document.getElementById("userDropdown").value);
+  zoneInput.disabled = false;
+  document.getElementById("timeZoneError").textContent = "";
+}
+
+//--------------------------- Similarity measure select --------------------------
+function createSimilaritySelector() {
+  const similarityLabel = document.createElement("label");
+  similarityLabel.setAttribute("for", "similarityDropdown");
+  similarityLabel.textContent = "Similarity:";
+  similarityLabel.style.marginLeft = "2rem";
+
+  const similaritySelector = document.createElement("select");
+  similaritySelector.id = "similarityDropdown";
+  Object.assign(similaritySelector.style, dropdownStyle, { width: "auto" });
+
+  [
+    ["cosine:count", "Cosine · plays"],
+    ["cosine:time", "Cosine · time"],
+    ["jaccard:count", "Jaccard · plays"],
+    ["jaccard:time", "Jaccard · time"],
+  ].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    similaritySelector.appendChild(option);
+  });
+  similaritySelector.addEventListener("change", refreshResults);
+
+  return [similarityLabel, similaritySelector];
+}
+
+//---------------------------- Time window section ------------------------------
+function createTimeWindowSection() {
+  const windowSection = document.createElement("section");
+  windowSection.id = "timeWindowSection";
+  Object.assign(windowSection.style, sectionStyle, { gap: "10px" });
+
+  const title = document.createElement("strong");
+  title.textContent = "Time windows:";
+
+  const windowList = document.createElement("span");
+  windowList.id = "timeWindowList";
+
+  windowSection.append(title, windowList, createTimeWindowForm());
+  renderTimeWindowList(windowList);
+
+  return windowSection;
+}
+
+// One checkbox per known window; checked windows get their own questions
+function renderTimeWindowList(
+  windowList = document.getElementById("timeWindowList")
+) {
+  windowList.innerHTML = "";
+
+  timeWindows.forEach((timeWindow) => {
+    const label = document.createElement("label");
+    label.title = describeTimeWindow(timeWindow);
+    label.style.marginRight = "10px";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = timeWindow.id;
+    checkbox.checked = activeTimeWindowIDs.has(timeWindow.id);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        activeTimeWindowIDs.add(timeWindow.id);
+      } else {
+        activeTimeWindowIDs.delete(timeWindow.id);
+      }
+      refreshResults();
+    });
+
+    label.append(checkbox, ` ${timeWindow.label}`);
+    windowList.appendChild(label);
+  });
+}
+
+//------------------------- Form to add a custom window -------------------------
+function createTimeWindowForm() {
+  const form = document.createElement("form");
+  form.id = "timeWindowForm";
+  Object.assign(form.style, {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: "6px",
+  });
+
+  const nameInput = document.createElement("input");
+  nameInput.name = "label";
+  nameInput.placeholder = "New window name";
+
+  const dayBoxes = DAY_NAMES.map((dayName, day) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = "days";
+    checkbox.value = day;
+    label.append(checkbox, dayName);
+    return label;
+  });
+
+  const [startSelect, endSelect] = ["startHour", "endHour"].map((name) => {
+    const select = document.createElement("select");
+    select.name = name;
+    select.setAttribute("aria-label", name === "startHour" ? "From" : "Until");
+    for (let hour = 0; hour < 24; hour++) {
+      const option = document.createElement("option");
+      option.value = hour;
+      option.textContent = `${String(hour).padStart(2, "0")}:00`;
+      select.appendChild(option);
+    }
+    return select;
+  });
+
+  const addButton = document.createElement("button");
+  addButton.type = "submit";
+  addButton.textContent = "Add window";
+
+  const error = document.createElement("span");
+  error.id = "timeWindowError";
+  error.style.color = "#b00020";
+
+  form.append(
+    nameInput,
+    ...dayBoxes,
+    startSelect,
+    "until",
+    endSelect,
+    addButton,
+    error
+  );
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    error.textContent = "";
+
+    try {
+      const timeWindow = createTimeWindow({
+        label: nameInput.value,
+        days: [...form.querySelectorAll("input[name=days]:checked")].map(
+          (checkbox) => Number(checkbox.value)
+        ),
+        startHour: Number(startSelect.value),
+        endHour: Number(endSelect.value),
+      });
+
+      if (timeWindows.some(({ id }) => id === timeWindow.id)) {
+        throw new Error(`There is already a window called ${timeWindow.label}`);
+      }
+
+      timeWindows.push(timeWindow);
+      activeTimeWindowIDs.add(timeWindow.id);
+      form.reset();
+      renderTimeWindowList();
+      refreshResults();
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+
+  return form;
+}
+
+//---------------------------- Playlist generator ------------------------------
+function createPlaylistSection() {
+  const playlistSection = document.createElement("section");
+  playlistSection.id = "playlistSection";
+  Object.assign(playlistSection.style, sectionStyle, { gap: "10px" });
+
+  const typeLabel = document.createElement("label");
+  typeLabel.setAttribute("for", "playlistDropdown");
+  typeLabel.textContent = "Playlist:";
+  const typeSelector = document.createElement("select");
+  typeSelector.id = "playlistDropdown";
+  Object.assign(typeSelector.style, dropdownStyle, { width: "auto" });
+  PLAYLIST_TYPES.forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    typeSelector.appendChild(option);
+  });
+
+  const minutesLabel = document.createElement("label");
+  minutesLabel.setAttribute("for", "playlistMinutesInput");
+  minutesLabel.textContent = "Target length (min):";
+  const minutesInput = document.createElement("input");
+  minutesInput.type = "number";
+  minutesInput.id = "playlistMinutesInput";
+  minutesInput.min = "1";
+  minutesInput.value = "60";
+  Object.assign(minutesInput.style, dropdownStyle, { width: "70px" });
+
+  const generateButton = document.createElement("button");
+  generateButton.id = "playlistButton";
+  generateButton.textContent = "Generate";
+
+  const error = document.createElement("span");
+  error.id = "playlistError";
+  error.style.color = "#b00020";
+
+  generateButton.addEventListener("click", () => {
+    const userID = document.getElementById("userDropdown").value;
+    error.textContent = "";
+    if (!userID) {
+      error.textContent = "Choose a user first";
+      return;
+    }
+
+    try {
+      const playlist = processPlaylist(userID, typeSelector.value, {
+        range: getSelectedRange(),
+        timeZone: getSelectedTimeZone(),
+        targetMinutes: Number(minutesInput.value) || undefined,
+      });
+      if (playlist.songs.length === 0) {
+        error.textContent = "No songs fit this playlist";
+      }
+    } catch (err) {
+      error.textContent = err.message;
     }
   });
+
+  playlistSection.append(
+    typeLabel,
+    typeSelector,
+    minutesLabel,
+    minutesInput,
+    generateButton,
+    error
+  );
+  return playlistSection;
+}
+
+//---------------------------- Results export ------------------------------
+function createResultExportSection() {
+  const exportSection = document.createElement("section");
+  exportSection.id = "resultExportSection";
+  Object.assign(exportSection.style, sectionStyle, { gap: "10px" });
+
+  const formatLabel = document.createElement("label");
+  formatLabel.setAttribute("for", "resultFormatDropdown");
+  formatLabel.textContent = "Export results as:";
+  const formatSelector = document.createElement("select");
+  formatSelector.id = "resultFormatDropdown";
+  Object.assign(formatSelector.style, dropdownStyle, { width: "auto" });
+  RESULT_FORMATS.forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    formatSelector.appendChild(option);
+  });
+
+  const exportButton = document.createElement("button");
+  exportButton.id = "exportResultsButton";
+  exportButton.textContent = "Selected user";
+
+  const bulkExportButton = document.createElement("button");
+  bulkExportButton.id = "bulkExportButton";
+  bulkExportButton.textContent = "All users";
+
+  const error = document.createElement("span");
+  error.id = "resultExportError";
+  error.style.color = "#b00020";
+
+  const download = (userIDs) => {
+    const { filename, content, mimeType } = exportResults(
+      collectResults(userIDs, getSelectedOptions()),
+      formatSelector.value
+    );
+    downloadFile(filename, content, mimeType);
+  };
+
+  exportButton.addEventListener("click", () => {
+    const userID = document.getElementById("userDropdown").value;
+    error.textContent = userID ? "" : "Choose a user first";
+    if (userID) download([userID]);
+  });
+  bulkExportButton.addEventListener("click", () => {
+    error.textContent = "";
+    download(getUserIDs());
+  });
+
+  exportSection.append(
+    formatLabel,
+    formatSelector,
+    exportButton,
+    bulkExportButton,
+    error
+  );
+  return exportSection;
+}
+
+//------------------- Recompute results for the current selection -----------------
+function getSelectedOptions() {
+  return {
+    range: getSelectedRange(),
+    topN: getSelectedTopN(),
+    almostEveryDay:
+      ALMOST_EVERY_DAY_THRESHOLDS[
+        document.getElementById("thresholdDropdown").value
+      ],
+    similarity: getSelectedSimilarity(),
+    sessions: {
+      idleGapMinutes:
+        Number(document.getElementById("sessionGapInput").value) ||
+        DEFAULT_IDLE_GAP_MINUTES,
+    },
+    timeWindows: timeWindows.filter(({ id }) => activeTimeWindowIDs.has(id)),
+    timeZone: getSelectedTimeZone(),
+  };
+}
+
+// Whole numbers only, kept within the input's own min and max
+function getSelectedTopN() {
+  const input = document.getElementById("topNInput");
+  const topN = Number(input.value);
+  if (input.value === "" || !Number.isInteger(topN)) return 10;
+  return Math.min(Math.max(topN, Number(input.min)), Number(input.max));
+}
+
+function getSelectedTimeZone() {
+  return document.getElementById("timeZoneModeDropdown").value === "viewer"
+    ? getViewerTimeZone()
+    : "listener";
+}
+
+function getSelectedSimilarity() {
+  const [metric, measure] = document
+    .getElementById("similarityDropdown")
+    .value.split(":");
+  return { metric, measure };
+}
+
+function refreshResults() {
+  const userID = document.getElementById("userDropdown").value;
+  const compareID = document.getElementById("compareDropdown").value;
+  if (!userID) {
+    return;
+  }
+
+  if (compareID) {
+    deleteElement("musicTable");
+    deleteElement("noUserMessage");
+    updateHeatmap();
+    updateTransitions();
+    updateRecommendations();
+    updateDataIssues();
+    processComparison([userID, compareID], getSelectedOptions());
+  } else {
+    deleteElement("comparisonTable");
+    processUserData(userID, getSelectedOptions());
+  }
+  updatePlaylist();
 }
 
 //--------------------------- Create table for question ------------------------
@@ -90,7 +1326,7 @@ function createTable() {
   const thead = document.createElement("thead");
   const headerRow = document.createElement("tr");
 
-  ["Question", "Answer"].forEach((text) => {
+  ["Question", "Answer", "Score"].forEach((text) => {
     const th = document.createElement("th");
     th.textContent = text;
     th.style.border = "2px solid black";
@@ -121,6 +1357,7 @@ function deleteElement(elementID) {
 }
 
 function createMessage() {
+  deleteElement("noUserMessage");
   const container = document.querySelector(".container");
   const message = document.createElement("span");
   message.id = "noUserMessage";
@@ -153,18 +1390,562 @@ function updateTable(data) {
       answerCell.textContent = entry.answer;
       answerCell.style.border = "1px solid black";
       answerCell.style.padding = "8px";
+      const scoreCell = document.createElement("td");
+      scoreCell.textContent = entry.score || "";
+      scoreCell.style.border = "1px solid black";
+      scoreCell.style.padding = "8px";
+      scoreCell.style.whiteSpace = "nowrap";
       row.appendChild(questionCell);
       row.appendChild(answerCell);
+      row.appendChild(scoreCell);
       tbody.appendChild(row);
+
+      if (entry.songs && entry.songs.length > 0) {
+        scoreCell.append(
+          createExportMenu({ title: entry.question, songs: entry.songs })
+        );
+      }
+
+      if (entry.leaderboard && entry.leaderboard.length > 0) {
+        const leaderboardRows = createLeaderboardRows(entry.leaderboard);
+        questionCell.prepend(createLeaderboardToggle(leaderboardRows));
+        tbody.append(...leaderboardRows);
+      }
+    });
+  }
+}
+
+//------------------ Side by side table comparing two users -----------------------
+function updateComparisonTable(rows, userIDs) {
+  deleteElement("comparisonTable");
+
+  const table = document.createElement("table");
+  table.id = "comparisonTable";
+  Object.assign(table.style, {
+    width: "80%",
+    border: "1px solid black",
+    borderCollapse: "collapse",
+    marginTop: "20px",
+  });
+
+  const headerRow = document.createElement("tr");
+  ["Question", ...userIDs.map((userID) => `User ${userID}`)].forEach((text) => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    th.style.border = "2px solid black";
+    th.style.padding = "8px";
+    th.style.textAlign = "center";
+    th.style.backgroundColor = "#0056b3";
+    th.style.color = "#fff";
+    headerRow.appendChild(th);
+  });
+  const thead = document.createElement("thead");
+  thead.appendChild(headerRow);
+
+  const tbody = document.createElement("tbody");
+  rows.forEach((entry) => {
+    const row = document.createElement("tr");
+    // Per-user answers get a column each; overlap metrics span both columns
+    const texts = entry.answers || [
+      entry.score ? `${entry.answer} (${entry.score})` : entry.answer,
+    ];
+
+    [entry.question, ...texts].forEach((text, index) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      cell.style.border = "1px solid black";
+      cell.style.padding = "8px";
+      if (index > 0 && !entry.answers) {
+        cell.colSpan = userIDs.length;
+        cell.style.backgroundColor = "#f2f7ff";
+      }
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+
+  table.append(thead, tbody);
+  document.querySelector(".container").appendChild(table);
+}
+
+//------------------ Expandable leaderboard rows under a question -----------------
+function createLeaderboardRows(leaderboard) {
+  return leaderboard.map(({ rank, key, count, time, share, detail }) => {
+    const row = document.createElement("tr");
+    row.className = "leaderboardRow";
+    row.style.display = "none";
+    row.style.backgroundColor = "#f2f7ff";
+    row.style.fontSize = "14px";
+
+    // Entries either describe themselves or are plays, time and share
+    const summary =
+      detail ||
+      [formatPlays(count), formatDuration(time), formatShare(share)].join(
+        " · "
+      );
+
+    [`#${rank}`, key, summary].forEach((text, index) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      cell.style.border = "1px solid #ccc";
+      cell.style.padding = "4px 8px";
+      if (index === 0) cell.style.textAlign = "right";
+      if (index === 2) cell.style.whiteSpace = "nowrap";
+      row.appendChild(cell);
+    });
+
+    return row;
+  });
+}
+
+function createLeaderboardToggle(leaderboardRows) {
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.textContent = "▸";
+  toggle.title = `Show top ${leaderboardRows.length}`;
+  toggle.setAttribute("aria-expanded", "false");
+  Object.assign(toggle.style, {
+    marginRight: "6px",
+    border: "none",
+    background: "none",
+    cursor: "pointer",
+  });
+
+  toggle.addEventListener("click", () => {
+    const expanded = toggle.getAttribute("aria-expanded") !== "true";
+    toggle.setAttribute("aria-expanded", String(expanded));
+    toggle.textContent = expanded ? "▾" : "▸";
+    leaderboardRows.forEach((row) => {
+      row.style.display = expanded ? "table-row" : "none";
+    });
+  });
+
+  return toggle;
+}
+
+//------------------- Hour-of-day × day-of-week listening heatmap -------------------
+// The last heatmap drawn, kept so switching the measure can redraw it
+let currentHeatmap = null;
+let heatmapMeasure = "plays";
+
+function updateHeatmap(heatmap) {
+  deleteElement("heatmapSection");
+  currentHeatmap = heatmap || null;
+  if (!heatmap) {
+    return;
+  }
+
+  const heatmapSection = document.createElement("section");
+  heatmapSection.id = "heatmapSection";
+  heatmapSection.style.marginTop = "20px";
+
+  const title = document.createElement("h2");
+  title.textContent = "When do you listen?";
+  title.style.fontSize = "18px";
+
+  heatmapSection.append(
+    title,
+    createMeasureSelector(),
+    renderHeatmapGrid(heatmap)
+  );
+  document.querySelector(".container").appendChild(heatmapSection);
+}
+
+function createMeasureSelector() {
+  const measureSelector = document.createElement("select");
+  measureSelector.id = "heatmapMeasure";
+  measureSelector.setAttribute("aria-label", "Heatmap measure");
+  Object.assign(measureSelector.style, dropdownStyle, {
+    marginLeft: "0",
+    marginBottom: "10px",
+  });
+
+  [
+    ["plays", "Plays"],
+    ["seconds", "Listening minutes"],
+  ].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    measureSelector.appendChild(option);
+  });
+  measureSelector.value = heatmapMeasure;
+
+  measureSelector.addEventListener("change", () => {
+    heatmapMeasure = measureSelector.value;
+    updateHeatmap(currentHeatmap);
+  });
+
+  return measureSelector;
+}
+
+function renderHeatmapGrid(heatmap) {
+  const grid = document.createElement("div");
+  grid.id = "listeningHeatmap";
+  Object.assign(grid.style, {
+    display: "grid",
+    gridTemplateColumns: "40px repeat(24, 28px)",
+    gap: "2px",
+    fontSize: "11px",
+  });
+
+  const max = Math.max(
+    ...heatmap.flat().map((cell) => cell[heatmapMeasure]),
+    1
+  );
+
+  // Header row with the hours
+  grid.appendChild(document.createElement("span"));
+  for (let hour = 0; hour < 24; hour++) {
+    const hourLabel = document.createElement("span");
+    hourLabel.textContent = String(hour).padStart(2, "0");
+    hourLabel.style.textAlign = "center";
+    grid.appendChild(hourLabel);
+  }
+
+  heatmap.forEach((hours, day) => {
+    const dayLabel = document.createElement("span");
+    dayLabel.textContent = DAY_NAMES[day];
+    grid.appendChild(dayLabel);
+
+    hours.forEach((cell, hour) => {
+      const square = document.createElement("span");
+      square.className = "heatmapCell";
+      square.title = describeHeatmapCell(cell, day, hour);
+      Object.assign(square.style, {
+        height: "28px",
+        borderRadius: "4px",
+        border: "1px solid #ddd",
+        backgroundColor: `rgba(0, 86, 179, ${cell[heatmapMeasure] / max})`,
+      });
+      grid.appendChild(square);
     });
+  });
+
+  return grid;
+}
+
+// Tooltip text for one heatmap cell
+function describeHeatmapCell(cell, day, hour) {
+  const slot = `${DAY_NAMES[day]} ${String(hour).padStart(2, "0")}:00`;
+  if (cell.seconds === 0) {
+    return `${slot} · no listens`;
+  }
+  // Only skipped streams: listening time but no plays and no top song
+  if (cell.plays === 0) {
+    return `${slot} · ${formatDuration(cell.seconds)} of skipped streams`;
+  }
+
+  return [
+    slot,
+    formatPlays(cell.plays),
+    formatDuration(cell.seconds),
+    `Top: ${cell.topSong.ties.join(", ")}`,
+  ].join(" · ");
+}
+
+//------------------------- "What do you play next?" section -------------------------
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function updateTransitions(transitions) {
+  deleteElement("transitionSection");
+  if (!transitions || transitions.top.length === 0) {
+    return;
   }
+
+  const transitionSection = document.createElement("section");
+  transitionSection.id = "transitionSection";
+  transitionSection.style.marginTop = "20px";
+
+  const title = document.createElement("h2");
+  title.textContent = "What do you play next?";
+  title.style.fontSize = "18px";
+
+  transitionSection.append(
+    title,
+    createNextSongLookup(transitions.matrix),
+    renderTransitionNetwork(transitions.top)
+  );
+  document.querySelector(".container").appendChild(transitionSection);
+}
+
+// Dropdown of songs that answers "after this song, what do I usually play?"
+function createNextSongLookup(matrix) {
+  const lookup = document.createElement("div");
+  lookup.style.marginBottom = "10px";
+
+  const songSelector = document.createElement("select");
+  songSelector.id = "transitionSongDropdown";
+  songSelector.setAttribute("aria-label", "Song played first");
+  Object.assign(songSelector.style, dropdownStyle, { marginLeft: "0" });
+
+  Object.keys(matrix)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((songKey) => {
+      const option = document.createElement("option");
+      option.value = songKey;
+      option.textContent = songKey;
+      songSelector.appendChild(option);
+    });
+
+  const answer = document.createElement("p");
+  answer.id = "transitionNextSong";
+  answer.setAttribute("aria-live", "polite");
+
+  const showNextSong = () => {
+    const next = mostLikelyNext(matrix, songSelector.value);
+    answer.textContent = `Usually followed by ${next.ties.join(", ")} (${
+      next.score
+    } of ${next.total} plays, ${formatShare(next.probability)})`;
+  };
+  songSelector.addEventListener("change", showNextSong);
+  showNextSong();
+
+  lookup.append(songSelector, answer);
+  return lookup;
+}
+
+// Draws the top transitions as a network: songs on a circle, arrows between
+// them, thicker for more frequent transitions
+function renderTransitionNetwork(top) {
+  const size = 420;
+  const radius = 150;
+  const center = size / 2;
+
+  const songKeys = [...new Set(top.flatMap(({ from, to }) => [from, to]))];
+  const positions = Object.fromEntries(
+    songKeys.map((songKey, index) => {
+      const angle = (2 * Math.PI * index) / songKeys.length - Math.PI / 2;
+      return [
+        songKey,
+        {
+          x: center + radius * Math.cos(angle),
+          y: center + radius * Math.sin(angle),
+        },
+      ];
+    })
+  );
+  const maxCount = top[0].count;
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.id = "transitionNetwork";
+  svg.setAttribute("width", size);
+  svg.setAttribute("height", size);
+  svg.setAttribute("role", "img");
+  svg.setAttribute("aria-label", "Most common song transitions");
+
+  const defs = document.createElementNS(SVG_NS, "defs");
+  const marker = document.createElementNS(SVG_NS, "marker");
+  Object.entries({
+    id: "transitionArrow",
+    viewBox: "0 0 10 10",
+    refX: "10",
+    refY: "5",
+    markerWidth: "6",
+    markerHeight: "6",
+    orient: "auto-start-reverse",
+  }).forEach(([name, value]) => marker.setAttribute(name, value));
+  const arrowHead = document.createElementNS(SVG_NS, "path");
+  arrowHead.setAttribute("d", "M 0 0 L 10 5 L 0 10 z");
+  arrowHead.setAttribute("fill", "#0056b3");
+  marker.appendChild(arrowHead);
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+
+  const nodeRadius = 6;
+  top.forEach(({ from, to, count, probability }) => {
+    const start = positions[from];
+    const end = positions[to];
+    // Stop the arrow at the edge of the target node
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const shorten = (nodeRadius + 2) / length;
+
+    const edge = document.createElementNS(SVG_NS, "line");
+    edge.setAttribute("x1", start.x);
+    edge.setAttribute("y1", start.y);
+    edge.setAttribute("x2", end.x - (end.x - start.x) * shorten);
+    edge.setAttribute("y2", end.y - (end.y - start.y) * shorten);
+    edge.setAttribute("stroke", "#0056b3");
+    edge.setAttribute("stroke-opacity", "0.6");
+    edge.setAttribute("stroke-width", 1 + (4 * count) / maxCount);
+    edge.setAttribute("marker-end", "url(#transitionArrow)");
+
+    const tooltip = document.createElementNS(SVG_NS, "title");
+    tooltip.textContent = `${from} → ${to} · ${count} times · ${formatShare(
+      probability
+    )}`;
+    edge.appendChild(tooltip);
+    svg.appendChild(edge);
+  });
+
+  songKeys.forEach((songKey) => {
+    const { x, y } = positions[songKey];
+
+    const node = document.createElementNS(SVG_NS, "circle");
+    node.setAttribute("cx", x);
+    node.setAttribute("cy", y);
+    node.setAttribute("r", nodeRadius);
+    node.setAttribute("fill", "#333");
+
+    const label = document.createElementNS(SVG_NS, "text");
+    label.setAttribute("x", x);
+    label.setAttribute("y", y < center ? y - 10 : y + 18);
+    label.setAttribute("text-anchor", "middle");
+    label.setAttribute("font-size", "11");
+    label.textContent = songKey;
+
+    svg.append(node, label);
+  });
+
+  return svg;
+}
+
+//------------------------- Listens left out of the results -------------------------
+function updateDataIssues(issues) {
+  deleteElement("dataIssues");
+  if (!issues || issues.length === 0) {
+    return;
+  }
+
+  const errorCount = issues.filter(
+    ({ severity }) => severity === "error"
+  ).length;
+  const notice = document.createElement("details");
+  notice.id = "dataIssues";
+  notice.style.marginTop = "10px";
+
+  const summary = document.createElement("summary");
+  summary.textContent =
+    `${plural(errorCount, "listen")} left out of the results, ` +
+    `${plural(issues.length - errorCount, "warning")} about the data`;
+  notice.append(
+    summary,
+    createIssueList(
+      issues.map(
+        ({ severity, message, index }) =>
+          `Listen ${index + 1} (${severity}): ${message}`
+      )
+    )
+  );
+  document.getElementById("userSection").after(notice);
+}
+
+//------------------------- "Songs you might like" section -------------------------
+function updateRecommendations(recommendations) {
+  deleteElement("recommendationSection");
+  if (!recommendations || recommendations.length === 0) {
+    return;
+  }
+
+  const recommendationSection = document.createElement("section");
+  recommendationSection.id = "recommendationSection";
+  recommendationSection.style.marginTop = "20px";
+
+  const title = document.createElement("h2");
+  title.textContent = "Songs you might like";
+  title.style.fontSize = "18px";
+
+  const list = document.createElement("ul");
+  recommendations.forEach(({ key, reason }) => {
+    const item = document.createElement("li");
+    const songName = document.createElement("strong");
+    songName.textContent = key;
+    item.append(songName, ` — ${reason}`);
+    item.style.marginBottom = "6px";
+    list.appendChild(item);
+  });
+
+  recommendationSection.append(title, list);
+  document.querySelector(".container").appendChild(recommendationSection);
+}
+
+//------------------------------ Generated playlist ------------------------------
+function updatePlaylist(playlist) {
+  deleteElement("playlistView");
+  if (!playlist || playlist.songs.length === 0) {
+    return;
+  }
+
+  const playlistView = document.createElement("section");
+  playlistView.id = "playlistView";
+  playlistView.style.marginBottom = "20px";
+
+  const title = document.createElement("h2");
+  title.textContent = `${playlist.title} · ${
+    playlist.songs.length
+  } songs · ${formatDuration(playlist.durationSeconds)}`;
+  title.style.fontSize = "18px";
+
+  const list = document.createElement("ol");
+  playlist.songs.forEach((song) => {
+    const item = document.createElement("li");
+    item.textContent = `${song.artist} - ${song.title} (${formatDuration(
+      song.duration_seconds
+    )})`;
+    list.appendChild(item);
+  });
+
+  const exportMenu = createExportMenu(playlist);
+  exportMenu.id = "playlistExportDropdown";
+
+  playlistView.append(title, list, exportMenu);
+  document
+    .querySelector(".container")
+    .insertBefore(
+      playlistView,
+      document.getElementById("playlistSection").nextSibling
+    );
+}
+
+// Dropdown that downloads a list of songs in the chosen playlist format
+function createExportMenu(playlist) {
+  const exportMenu = document.createElement("select");
+  exportMenu.className = "exportDropdown";
+  exportMenu.setAttribute("aria-label", `Export ${playlist.title}`);
+  exportMenu.style.marginLeft = "8px";
+
+  const placeholderOption = document.createElement("option");
+  placeholderOption.value = "";
+  placeholderOption.textContent = "Export…";
+  exportMenu.appendChild(placeholderOption);
+
+  PLAYLIST_FORMATS.forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    exportMenu.appendChild(option);
+  });
+
+  exportMenu.addEventListener("change", () => {
+    if (!exportMenu.value) return;
+    const { filename, content, mimeType } = exportPlaylist(
+      playlist,
+      exportMenu.value
+    );
+    downloadFile(filename, content, mimeType);
+    exportMenu.value = "";
+  });
+
+  return exportMenu;
+}
+
+// Saves text as a file through a temporary download link
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url));
 }
 
 // ---------------------------- Event listener -----------------------------
 function handleUserSelection(event) {
   const userID = event.target.value;
   if (userID) {
-    processUserData(userID);
+    processUserData(userID, getSelectedOptions());
     showTable();
   }
 }
@@ -182,13 +1963,25 @@ function showTable() {
 //   userSelector.addEventListener("change", handleUserSelection);
 // }
 
-window.onload = function () {
+window.onload = async function () {
+  await restoreStoredData();
   createContent();
   // createTable();
   // setUpEvents(userSelector);
 };
 
-export { createContent, createTable, handleUserSelection, updateTable };
+export {
+  createContent,
+  createTable,
+  handleUserSelection,
+  updateComparisonTable,
+  updateDataIssues,
+  updateHeatmap,
+  updatePlaylist,
+  updateRecommendations,
+  updateTable,
+  updateTransitions,
+};
 
 // // -------------- testing what user listen in their history -----------------
 // // const users = getUserIDs();
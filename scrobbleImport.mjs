@@ -0,0 +1,268 @@
+// Imports scrobble exports from Last.fm (CSV or JSON dumps of
+// `user.getRecentTracks`) and ListenBrainz (JSON or JSON Lines listen exports).
+// Scrobbles are stamped when the track started. Last.fm does not record
+// durations, so its songs stay at 0 seconds until a ListenBrainz listen of the
+// same track brings one.
+
+import {
+  createListenEvent,
+  createTrackMatcher,
+  importedSongID,
+  listenerTimeZone,
+  parseCSV,
+} from "./csvImport.mjs";
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Reads a Last.fm date: Unix seconds ("uts") or "31 Jan 2021 12:34" in UTC.
+ * @param {string|number} value - The date as exported.
+ * @returns {Date} An invalid date when the value cannot be read.
+ */
+export function parseLastfmDate(value) {
+  const text = String(value ?? "").trim();
+  if (/^\d+$/.test(text)) {
+    return new Date(Number(text) * 1000);
+  }
+
+  const match = text.match(/^(\d{1,2}) (\w{3}) (\d{4}),? (\d{1,2}):(\d{2})$/);
+  const month = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+  if (month === -1) {
+    return new Date(text || NaN);
+  }
+  const [, day, , year, hours, minutes] = match.map(Number);
+  return new Date(Date.UTC(year, month, day, hours, minutes));
+}
+
+// Builds songs and listen events from scrobbles read by the importers below.
+// Each scrobble is `{ artist, title, date, durationSeconds?, userID?, line? }`,
+// with `album` and `trackNumber` when the export has them.
+function collectScrobbles(scrobbles, options = {}) {
+  const findKnownSong = createTrackMatcher(options.catalogue);
+  const songs = new Map();
+  const listens = {};
+  const timeZones = {};
+  const rejected = [];
+
+  scrobbles.forEach((scrobble, index) => {
+    const { artist, title, date, durationSeconds, album, trackNumber, line } =
+      scrobble;
+    const userID = options.userID || scrobble.userID;
+    const reject = (reason) =>
+      rejected.push({
+        ...(line ? { line } : { entry: index + 1 }),
+        reason,
+        row: [artist, title].filter(Boolean),
+      });
+
+    if (scrobble.skip) {
+      return reject(scrobble.skip);
+    }
+    if (!artist || !title) {
+      return reject(artist ? "Missing title" : "Missing artist");
+    }
+    if (!userID) {
+      return reject("No user: enter a user ID for this export");
+    }
+    if (Number.isNaN(date.getTime())) {
+      return reject("Invalid date");
+    }
+
+    const knownSong = findKnownSong(artist, title);
+    const songID = knownSong ? knownSong.id : importedSongID(artist, title);
+    let song = songs.get(songID) || knownSong;
+    if (!song) {
+      song = {
+        id: songID,
+        artist,
+        title,
+        duration_seconds: 0,
+        genre: "Unknown",
+      };
+      songs.set(songID, song);
+    }
+    // Fill in a missing duration or album, known songs included
+    const details = {
+      duration_seconds: !song.duration_seconds && durationSeconds,
+      album: !song.album && album,
+      track_number:
+        !song.track_number && Number.isInteger(trackNumber) && trackNumber,
+    };
+    const missing = Object.entries(details).filter(([, value]) => value);
+    if (missing.length > 0) {
+      song = { ...song, ...Object.fromEntries(missing) };
+      songs.set(songID, song);
+    }
+
+    timeZones[userID] = listenerTimeZone(userID, options);
+    listens[userID] = listens[userID] || [];
+    listens[userID].push(createListenEvent(song.id, date, timeZones[userID]));
+  });
+
+  return { songs: [...songs.values()], listens, timeZones, rejected };
+}
+
+/**
+ * Imports a Last.fm scrobble CSV. Files with a header row are read by column
+ * name ("artist", "track" or "title", "uts" or "utc_time"); files without
+ * one are read as the common `artist,album,title,date` layout.
+ * @param {string} text - The file contents.
+ * @param {object} [options]
+ * @param {string} [options.userID] - The user the scrobbles belong to; the
+ *   CSV does not name one.
+ * @param {object[]} [options.catalogue] - Songs already known.
+ * @param {Object<string, string>} [options.timeZones] - Known users' zones.
+ * @param {string} [options.timeZone] - The zone of new users.
+ * @returns {{songs: object[], listens: Object<string, object[]>, timeZones: Object<string, string>, rejected: object[]}}
+ */
+export function importLastfmCSV(text, options = {}) {
+  const rows = parseCSV(text);
+  const header = (rows[0] || []).map((name) => name.trim().toLowerCase());
+  const hasHeader = header.includes("artist");
+  const column = (...names) => header.findIndex((name) => names.includes(name));
+  const columns = hasHeader
+    ? {
+        artist: column("artist"),
+        title: column("track", "title", "name"),
+        album: column("album"),
+        date: column("uts", "utc_time", "date", "time"),
+      }
+    : { artist: 0, album: 1, title: 2, date: 3 };
+
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const firstLine = hasHeader ? 2 : 1;
+  const scrobbles = dataRows.map((row, index) => ({
+    artist: (row[columns.artist] || "").trim(),
+    title: (row[columns.title] || "").trim(),
+    album: (row[columns.album] || "").trim(),
+    date: parseLastfmDate(row[columns.date]),
+    line: firstLine + index,
+  }));
+
+  return collectScrobbles(scrobbles, options);
+}
+
+// Last.fm names can be plain strings, `{ "#text": ... }` or `{ name: ... }`
+function lastfmName(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  return value["#text"] || value.name || "";
+}
+
+/**
+ * Imports a Last.fm JSON dump: `user.getRecentTracks` pages, a single page,
+ * or a plain list of tracks.
+ * @param {unknown} data - The parsed JSON.
+ * @param {object} [options]
+ * @param {string} [options.userID] - Defaults to the user named in the pages.
+ * @param {object[]} [options.catalogue] - Songs already known.
+ * @param {Object<string, string>} [options.timeZones] - Known users' zones.
+ * @param {string} [options.timeZone] - The zone of new users.
+ * @returns {{songs: object[], listens: Object<string, object[]>, timeZones: Object<string, string>, rejected: object[]}}
+ */
+export function importLastfmJSON(data, options = {}) {
+  const pages = Array.isArray(data) && !data[0]?.name ? data : [data];
+  const scrobbles = pages.flatMap((page) => {
+    const recentTracks = page.recenttracks;
+    const tracks = recentTracks ? recentTracks.track : page;
+    const userID = recentTracks?.["@attr"]?.user;
+
+    return (Array.isArray(tracks) ? tracks : [tracks]).map((track) => ({
+      artist: lastfmName(track.artist),
+      title: track.name || "",
+      album: lastfmName(track.album),
+      date: parseLastfmDate(track.date?.uts),
+      userID,
+      // The track playing when the dump was made has no date yet
+      skip: track["@attr"]?.nowplaying === "true" ? "Still playing" : undefined,
+    }));
+  });
+
+  return collectScrobbles(scrobbles, options);
+}
+
+/**
+ * Imports ListenBrainz listens: an export (a JSON list, or one listen per
+ * line) or an API response with `payload.listens`.
+ * @param {unknown[]|object} data - The parsed listens, or a single listen.
+ * @param {object} [options]
+ * @param {string} [options.userID] - Defaults to each listen's `user_name`.
+ * @param {object[]} [options.catalogue] - Songs already known.
+ * @param {Object<string, string>} [options.timeZones] - Known users' zones.
+ * @param {string} [options.timeZone] - The zone of new users.
+ * @returns {{songs: object[], listens: Object<string, object[]>, timeZones: Object<string, string>, rejected: object[]}}
+ */
+export function importListenBrainz(data, options = {}) {
+  let listens = data.payload?.listens || data;
+  // A JSON Lines export with a single line parses as one listen
+  if (!Array.isArray(listens)) listens = [listens];
+  const scrobbles = listens.map((listen) => {
+    const metadata = listen.track_metadata || {};
+    const info = metadata.additional_info || {};
+    const durationSeconds = info.duration_ms
+      ? Math.round(info.duration_ms / 1000)
+      : info.duration;
+
+    return {
+      artist: metadata.artist_name || "",
+      title: metadata.track_name || "",
+      album: metadata.release_name || "",
+      trackNumber: Number(info.tracknumber),
+      date: new Date(Number(listen.listened_at) * 1000),
+      durationSeconds,
+      userID: listen.user_name,
+    };
+  });
+
+  return collectScrobbles(scrobbles, options);
+}
+
+/**
+ * Imports a Last.fm or ListenBrainz export, telling them apart by content.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - CSV files are read as Last.fm scrobbles.
+ * @param {object} [options] - Passed on to the importer.
+ * @returns {{songs: object[], listens: Object<string, object[]>, timeZones: Object<string, string>, rejected: object[]}}
+ */
+export function importScrobbles(text, fileName, options = {}) {
+  if (/\.csv$/i.test(fileName)) {
+    return importLastfmCSV(text, options);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // ListenBrainz exports can have one listen per line
+    try {
+      data = text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch {
+      throw new Error(`${fileName} is not CSV or JSON`);
+    }
+  }
+
+  const first = Array.isArray(data) ? data[0] : data;
+  if (first?.track_metadata || first?.payload) {
+    return importListenBrainz(data, options);
+  }
+  if (first?.recenttracks || first?.artist) {
+    return importLastfmJSON(data, options);
+  }
+  throw new Error(`${fileName} is not a Last.fm or ListenBrainz export`);
+}
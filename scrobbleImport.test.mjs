@@ -0,0 +1,145 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  importLastfmCSV,
+  importLastfmJSON,
+  importListenBrainz,
+  importScrobbles,
+  parseLastfmDate,
+} from "./scrobbleImport.mjs";
+
+describe("parseLastfmDate()", () => {
+  test("Reads Unix seconds and Last.fm's UTC dates", () => {
+    expect(parseLastfmDate("1722506400").toISOString()).toBe(
+      "2024-08-01T10:00:00.000Z"
+    );
+    expect(parseLastfmDate("01 Aug 2024, 10:00").toISOString()).toBe(
+      "2024-08-01T10:00:00.000Z"
+    );
+    expect(parseLastfmDate("soon").getTime()).toBeNaN();
+  });
+});
+
+describe("importLastfmCSV()", () => {
+  test("Reads headerless artist,album,title,date rows", () => {
+    const { songs, listens, rejected } = importLastfmCSV(
+      "The Beatles,Let It Be,Let It Be - Remastered 2009,01 Aug 2024 10:00\n" +
+        ",Album,Nameless,01 Aug 2024 11:00\n",
+      { userID: "5" }
+    );
+
+    expect(songs.map(({ id }) => id)).toEqual(["song-beatles-let-it-be"]);
+    expect(songs[0].album).toBe("Let It Be");
+    expect(listens["5"]).toHaveLength(1);
+    expect(rejected).toEqual([
+      { line: 2, reason: "Missing artist", row: ["Nameless"] },
+    ]);
+  });
+
+  test("Reads columns by name when there is a header", () => {
+    const { listens } = importLastfmCSV(
+      "uts,utc_time,artist,track\n1722506400,,Faithless,Insomnia\n",
+      { userID: "5" }
+    );
+
+    expect(listens["5"][0].song_id).toBe("song-faithless-insomnia");
+  });
+
+  test("Needs a user ID", () => {
+    const { rejected } = importLastfmCSV("A,B,C,01 Aug 2024 10:00");
+
+    expect(rejected[0].reason).toMatch("No user");
+  });
+});
+
+describe("importLastfmJSON()", () => {
+  test("Reads recent tracks pages and skips the track still playing", () => {
+    const page = {
+      recenttracks: {
+        "@attr": { user: "alex" },
+        track: [
+          {
+            artist: { "#text": "Faithless" },
+            name: "Insomnia",
+            "@attr": { nowplaying: "true" },
+          },
+          {
+            artist: { "#text": "Faithless" },
+            name: "Insomnia",
+            date: { uts: "1722506400" },
+          },
+        ],
+      },
+    };
+
+    const { listens, rejected } = importLastfmJSON([page]);
+
+    expect(listens.alex).toHaveLength(1);
+    expect(rejected).toEqual([
+      { entry: 1, reason: "Still playing", row: ["Faithless", "Insomnia"] },
+    ]);
+  });
+});
+
+describe("importListenBrainz()", () => {
+  test("Takes durations and albums from the listen metadata", () => {
+    const { songs, listens } = importListenBrainz([
+      {
+        listened_at: 1722506400,
+        user_name: "sam",
+        track_metadata: {
+          artist_name: "Faithless",
+          track_name: "Insomnia",
+          release_name: "Reverence",
+          additional_info: { duration_ms: 212000, tracknumber: 4 },
+        },
+      },
+    ]);
+
+    expect(songs[0]).toMatchObject({
+      duration_seconds: 212,
+      album: "Reverence",
+      track_number: 4,
+    });
+    expect(listens.sam).toHaveLength(1);
+  });
+});
+
+describe("importScrobbles()", () => {
+  const listenBrainz = {
+    listened_at: 1722506400,
+    user_name: "sam",
+    track_metadata: {
+      artist_name: "Beatles",
+      track_name: "Let It Be",
+      additional_info: { duration_ms: 243000 },
+    },
+  };
+
+  test("Merges the same track from different services", () => {
+    const lastfm = importScrobbles(
+      "The Beatles,Let It Be,Let It Be - Remastered 2009,01 Aug 2024 10:00",
+      "scrobbles.csv",
+      { userID: "sam" }
+    );
+    const { songs, listens } = importScrobbles(
+      JSON.stringify(listenBrainz),
+      "listens.jsonl",
+      { catalogue: lastfm.songs }
+    );
+
+    expect(listens.sam[0].song_id).toBe(lastfm.songs[0].id);
+    expect(songs).toEqual([{ ...lastfm.songs[0], duration_seconds: 243 }]);
+  });
+
+  test("Reads ListenBrainz exports with one listen per line", () => {
+    const text = [listenBrainz, listenBrainz].map(JSON.stringify).join("\n");
+
+    expect(importScrobbles(text, "listens.jsonl").listens.sam).toHaveLength(2);
+  });
+
+  test("Rejects files from other services", () => {
+    expect(() => importScrobbles("{}", "other.json")).toThrow(
+      "other.json is not a Last.fm or ListenBrainz export"
+    );
+  });
+});
@@ -0,0 +1,48 @@
+// Listening session detection. Events are only start timestamps, so a song is
+// assumed to play for its full `duration_seconds` unless the event records the
+// time actually played in `ms_played`; a new session starts when the user
+// stays idle for longer than the gap after the previous song ends.
+
+import { playedSeconds } from "./stats.mjs";
+
+export const DEFAULT_IDLE_GAP_MINUTES = 30;
+
+/**
+ * Splits listen events into sessions.
+ * @param {Array<{song_id: string, timestamp: string}>} events - Listen events.
+ * @param {(songID: string) => object} songLookup - Resolves a song_id to a song.
+ * @param {object} [options]
+ * @param {number} [options.idleGapMinutes] - Idle time that ends a session.
+ * @returns {Array<{start: Date, end: Date, durationSeconds: number, events: object[], songs: object[]}>}
+ *   The sessions in time order, each with its events and their songs.
+ */
+export function detectSessions(events, songLookup, options = {}) {
+  const idleGapMs =
+    (options.idleGapMinutes ?? DEFAULT_IDLE_GAP_MINUTES) * 60 * 1000;
+  const sessions = [];
+  let current = null;
+
+  const sorted = events
+    .map((event) => ({ event, start: new Date(event.timestamp) }))
+    .sort((a, b) => a.start - b.start);
+
+  for (const { event, start } of sorted) {
+    const song = songLookup(event.song_id);
+    const playedMs = playedSeconds(event, song) * 1000;
+    const end = new Date(start.getTime() + playedMs);
+
+    if (!current || start - current.end > idleGapMs) {
+      current = { start, end, events: [], songs: [] };
+      sessions.push(current);
+    }
+
+    current.events.push(event);
+    current.songs.push(song);
+    if (end > current.end) current.end = end;
+  }
+
+  return sessions.map((session) => ({
+    ...session,
+    durationSeconds: (session.end - session.start) / 1000,
+  }));
+}
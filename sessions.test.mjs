@@ -0,0 +1,40 @@
+import { describe, test, expect } from "@jest/globals";
+import { detectSessions } from "./sessions.mjs";
+
+const songs = {
+  1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 600 },
+  2: { artist: "B", title: "Two", genre: "Jazz", duration_seconds: 60 },
+};
+const songLookup = (id) => songs[id];
+
+describe("detectSessions()", () => {
+  test("Measures idle gaps from the end of the previous song", () => {
+    const events = [
+      // Ends at 10:10, so a start at 10:35 is within a 30 minute gap
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      { song_id: "2", timestamp: "2024-08-01T10:35:00" },
+      // Starts 35 minutes after the previous song ended
+      { song_id: "2", timestamp: "2024-08-01T11:11:00" },
+    ];
+
+    const sessions = detectSessions(events, songLookup);
+
+    expect(sessions.map(({ events }) => events.length)).toEqual([2, 1]);
+    expect(sessions[0].durationSeconds).toBe(36 * 60);
+  });
+
+  test("Sorts events and honours a custom idle gap", () => {
+    const events = [
+      { song_id: "2", timestamp: "2024-08-01T10:05:00" },
+      { song_id: "2", timestamp: "2024-08-01T10:00:00" },
+    ];
+
+    expect(detectSessions(events, songLookup, { idleGapMinutes: 3 })).toEqual([
+      expect.objectContaining({
+        start: new Date(2024, 7, 1, 10, 0),
+        events: [events[1]],
+      }),
+      expect.objectContaining({ events: [events[0]] }),
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+// Similarity measures over tallies (objects mapping a song, artist or genre to
+// a play count or listening time).
+
+/**
+ * Turns a tally into each key's fraction of the total.
+ * @param {Object<string, number>} tally - Plays or seconds keyed by song, artist, etc.
+ * @returns {Object<string, number>} Fractions that add up to 1.
+ */
+export function toShares(tally) {
+  const total = Object.values(tally).reduce((sum, value) => sum + value, 0);
+  return Object.fromEntries(
+    Object.entries(tally).map(([key, value]) => [key, value / total])
+  );
+}
+
+/**
+ * Cosine similarity of two tallies treated as sparse vectors.
+ * @param {Object<string, number>} a - First tally.
+ * @param {Object<string, number>} b - Second tally.
+ * @returns {number} 0 (nothing in common) to 1 (same proportions).
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0,
+    normA = 0,
+    normB = 0;
+
+  for (const [key, value] of Object.entries(a)) {
+    normA += value * value;
+    if (key in b) dot += value * b[key];
+  }
+  for (const value of Object.values(b)) {
+    normB += value * value;
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Weighted Jaccard similarity of two tallies: the sum of the smaller value of
+ * each key over the sum of the larger one. With 0/1 values this is the plain
+ * Jaccard index of the two key sets.
+ * @param {Object<string, number>} a - First tally.
+ * @param {Object<string, number>} b - Second tally.
+ * @returns {number} 0 (nothing in common) to 1 (identical tallies).
+ */
+export function jaccardSimilarity(a, b) {
+  let smaller = 0,
+    larger = 0;
+
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    smaller += Math.min(a[key] || 0, b[key] || 0);
+    larger += Math.max(a[key] || 0, b[key] || 0);
+  }
+
+  return larger > 0 ? smaller / larger : 0;
+}
+
+const METRICS = { cosine: cosineSimilarity, jaccard: jaccardSimilarity };
+
+// The tally behind each dimension, by measure
+const TALLIES = {
+  songs: { count: "songCount", time: "songTime" },
+  artists: { count: "artistCount", time: "artistTime" },
+  genres: { count: "genreCount", time: "genreTime" },
+};
+
+/**
+ * Taste similarity of two users: the chosen metric applied to their song,
+ * artist and genre tallies, averaged over the dimensions.
+ * @param {object} statsA - `computeUserStats` result for the first user.
+ * @param {object} statsB - `computeUserStats` result for the second user.
+ * @param {object} [options]
+ * @param {"cosine"|"jaccard"} [options.metric] - Defaults to "cosine".
+ * @param {"count"|"time"} [options.measure] - Plays or listening time. Defaults to "count".
+ * @param {string[]} [options.dimensions] - Any of "songs", "artists", "genres". Defaults to all three.
+ * @returns {number} 0 to 1.
+ */
+export function tasteSimilarity(statsA, statsB, options = {}) {
+  const {
+    metric = "cosine",
+    measure = "count",
+    dimensions = Object.keys(TALLIES),
+  } = options;
+  const similarity = METRICS[metric];
+  if (!similarity) {
+    throw new Error(`Unknown similarity metric: ${metric}`);
+  }
+
+  const scores = dimensions.map((dimension) => {
+    const tally = TALLIES[dimension][measure];
+    return similarity(statsA.tallies[tally], statsB.tallies[tally]);
+  });
+
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Ranks every other user by taste similarity to one user. Users without any
+ * listens in the statistics are left out.
+ * @param {string} userID - The user to find neighbours for.
+ * @param {Object<string, object>} statsByUser - `computeUserStats` results keyed by user ID.
+ * @param {object} [options] - Passed on to `tasteSimilarity`.
+ * @returns {Array<{userID: string, similarity: number}>} Most similar first.
+ */
+export function rankNeighbours(userID, statsByUser, options = {}) {
+  const stats = statsByUser[userID];
+
+  return Object.entries(statsByUser)
+    .filter(([otherID, other]) => otherID !== userID && other.eventCount > 0)
+    .map(([otherID, other]) => ({
+      userID: otherID,
+      similarity: tasteSimilarity(stats, other, options),
+    }))
+    .sort(
+      (a, b) => b.similarity - a.similarity || a.userID.localeCompare(b.userID)
+    );
+}
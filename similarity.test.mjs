@@ -0,0 +1,56 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  cosineSimilarity,
+  jaccardSimilarity,
+  rankNeighbours,
+  tasteSimilarity,
+} from "./similarity.mjs";
+
+// Just enough of a computeUserStats result for the similarity engine
+const statsFor = (songCount, eventCount = 1) => ({
+  eventCount,
+  tallies: {
+    songCount,
+    songTime: songCount,
+    artistCount: songCount,
+    artistTime: songCount,
+    genreCount: songCount,
+    genreTime: songCount,
+  },
+});
+
+describe("cosineSimilarity() and jaccardSimilarity()", () => {
+  test("Score tallies from 0 to 1", () => {
+    expect(cosineSimilarity({ a: 1, b: 1 }, { a: 2, b: 2 })).toBeCloseTo(1);
+    expect(cosineSimilarity({ a: 1 }, { b: 1 })).toBe(0);
+    expect(jaccardSimilarity({ a: 2, b: 1 }, { a: 1, c: 1 })).toBe(1 / 4);
+    expect(jaccardSimilarity({}, {})).toBe(0);
+  });
+});
+
+describe("tasteSimilarity()", () => {
+  test("Rejects unknown metrics", () => {
+    const stats = statsFor({ a: 1 });
+
+    expect(() => tasteSimilarity(stats, stats, { metric: "euclid" })).toThrow(
+      "Unknown similarity metric"
+    );
+  });
+});
+
+describe("rankNeighbours()", () => {
+  test("Ranks other listeners, skipping those without listens", () => {
+    const statsByUser = {
+      1: statsFor({ a: 3, b: 1 }),
+      2: statsFor({ b: 1 }),
+      3: statsFor({ a: 1, b: 1 }),
+      4: statsFor({}, 0),
+    };
+
+    expect(
+      rankNeighbours("1", statsByUser, { metric: "jaccard" }).map(
+        ({ userID }) => userID
+      )
+    ).toEqual(["3", "2"]);
+  });
+});
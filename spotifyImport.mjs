@@ -0,0 +1,140 @@
+// Imports Spotify "extended streaming history" exports (`endsong_*.json`,
+// `Streaming_History_Audio_*.json`). Each entry is one stream; its `ts` is when
+// the stream ended and `ms_played` how long it lasted. The export has no track
+// durations or genres: a song's duration is taken from its longest stream. Its
+// `master_metadata_album_artist_name` is the track's artist, not the album's.
+
+import {
+  createListenEvent,
+  createTrackMatcher,
+  importedSongID,
+  listenerTimeZone,
+} from "./csvImport.mjs";
+
+// Streams shorter than this share of the song's duration count as partial
+// plays when the export does not say why the stream ended
+const PARTIAL_PLAY_RATIO = 0.9;
+
+/**
+ * Reads the entries of one export file.
+ * @param {string} text - The file contents.
+ * @param {string} [fileName] - Used in error messages.
+ * @returns {object[]} The stream entries.
+ */
+export function parseSpotifyHistory(text, fileName = "The file") {
+  let entries;
+  try {
+    entries = JSON.parse(text);
+  } catch {
+    throw new Error(`${fileName} is not valid JSON`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${fileName} is not a Spotify streaming history`);
+  }
+  return entries;
+}
+
+/**
+ * Turns streaming history entries into listen events and songs.
+ * Events carry the `ms_played` of the stream and `partial: true` when the
+ * song did not play to the end: the stream ended for another reason than
+ * "trackdone", or, without a `reason_end`, it was shorter than 90% of the song.
+ * `computeUserStats` counts partial plays for their listening time only.
+ * @param {object[]} entries - Entries from one or more export files.
+ * @param {object} [options]
+ * @param {string} [options.userID] - The user the history belongs to.
+ *   Defaults to each entry's Spotify `username`.
+ * @param {object[]} [options.catalogue] - Songs already known, matched on
+ *   artist and title as in `importListens`.
+ * @param {Object<string, string>} [options.timeZones] - Time zones of known
+ *   users, see `listenerTimeZone`.
+ * @param {string} [options.timeZone] - The zone of new users.
+ * @returns {{
+ *   songs: object[],
+ *   listens: Object<string, object[]>,
+ *   timeZones: Object<string, string>,
+ *   rejected: Array<{entry: number, reason: string, row: string[]}>
+ * }} New songs, events and time zones keyed by user ID, and the entries that
+ *   were left out (1-based `entry` numbers).
+ */
+export function importSpotifyHistory(entries, options = {}) {
+  const findKnownSong = createTrackMatcher(options.catalogue);
+  const songs = new Map();
+  const streams = [];
+  const rejected = [];
+
+  entries.forEach((entry, index) => {
+    const artist = entry.master_metadata_album_artist_name;
+    const title = entry.master_metadata_track_name;
+    const reject = (reason) =>
+      rejected.push({
+        entry: index + 1,
+        reason,
+        row: [entry.ts, artist || entry.episode_name || ""].filter(Boolean),
+      });
+
+    if (!artist || !title) {
+      return reject(
+        entry.episode_name ? "Podcast episode, not a song" : "No track details"
+      );
+    }
+    const userID = options.userID || entry.username;
+    if (!userID) {
+      return reject("No user");
+    }
+    const end = new Date(entry.ts);
+    const msPlayed = Number(entry.ms_played);
+    if (Number.isNaN(end.getTime()) || !(msPlayed >= 0)) {
+      return reject(`Invalid timestamp or ms_played "${entry.ts}"`);
+    }
+
+    const song =
+      findKnownSong(artist, title) ||
+      addSong(artist, title, msPlayed, entry.master_metadata_album_album_name);
+    streams.push({
+      userID,
+      song,
+      start: new Date(end.getTime() - msPlayed),
+      msPlayed,
+      reasonEnd: entry.reason_end,
+    });
+  });
+
+  // Partial plays can only be judged once every stream set the song durations
+  const listens = {};
+  const timeZones = {};
+  for (const { userID, song, start, msPlayed, reasonEnd } of streams) {
+    const partial = reasonEnd
+      ? reasonEnd !== "trackdone"
+      : msPlayed < PARTIAL_PLAY_RATIO * song.duration_seconds * 1000;
+
+    timeZones[userID] = listenerTimeZone(userID, options);
+    listens[userID] = listens[userID] || [];
+    listens[userID].push({
+      ...createListenEvent(song.id, start, timeZones[userID]),
+      ms_played: msPlayed,
+      partial,
+    });
+  }
+
+  return { songs: [...songs.values()], listens, timeZones, rejected };
+
+  // Creates the song for a new track; its duration grows to its longest stream
+  function addSong(artist, title, msPlayed, album) {
+    const songID = importedSongID(artist, title);
+    const song = songs.get(songID) || {
+      id: songID,
+      artist,
+      title,
+      duration_seconds: 0,
+      genre: "Unknown",
+    };
+    song.duration_seconds = Math.max(
+      song.duration_seconds,
+      Math.round(msPlayed / 1000)
+    );
+    if (!song.album && album) song.album = album;
+    songs.set(songID, song);
+    return song;
+  }
+}
@@ -0,0 +1,93 @@
+import { describe, test, expect } from "@jest/globals";
+import { importSpotifyHistory, parseSpotifyHistory } from "./spotifyImport.mjs";
+
+const stream = (ts, msPlayed, fields = {}) => ({
+  ts,
+  username: "alex",
+  ms_played: msPlayed,
+  master_metadata_track_name: "Insomnia",
+  master_metadata_album_artist_name: "Faithless",
+  ...fields,
+});
+
+describe("parseSpotifyHistory()", () => {
+  test("Rejects files that are not a list of streams", () => {
+    expect(() => parseSpotifyHistory("{}", "endsong_0.json")).toThrow(
+      "endsong_0.json is not a Spotify streaming history"
+    );
+  });
+});
+
+describe("importSpotifyHistory()", () => {
+  test("Starts each listen when the stream began", () => {
+    const { listens } = importSpotifyHistory([
+      stream("2024-08-01T10:05:00", 300000),
+    ]);
+
+    expect(listens.alex[0]).toMatchObject({
+      timestamp: "2024-08-01T10:00:00",
+      seconds_since_midnight: 36000,
+      ms_played: 300000,
+    });
+  });
+
+  test("Takes the song duration from its longest stream", () => {
+    const { songs, listens } = importSpotifyHistory([
+      stream("2024-08-01T10:01:00", 60000),
+      stream("2024-08-01T11:00:00", 300000),
+    ]);
+
+    expect(songs).toEqual([
+      {
+        id: "song-faithless-insomnia",
+        artist: "Faithless",
+        title: "Insomnia",
+        duration_seconds: 300,
+        genre: "Unknown",
+      },
+    ]);
+    expect(listens.alex.map(({ partial }) => partial)).toEqual([true, false]);
+  });
+
+  test("Uses reason_end to mark partial plays when it is there", () => {
+    const { listens } = importSpotifyHistory([
+      stream("2024-08-01T10:01:00", 60000, { reason_end: "trackdone" }),
+      stream("2024-08-01T11:00:00", 300000, { reason_end: "fwdbtn" }),
+    ]);
+
+    expect(listens.alex.map(({ partial }) => partial)).toEqual([false, true]);
+  });
+
+  test("Files the listens under the given user and known song IDs", () => {
+    const catalogue = [
+      { id: "song-10", artist: "Faithless", title: "Insomnia" },
+    ];
+
+    const { songs, listens } = importSpotifyHistory(
+      [stream("2024-08-01T10:05:00", 300000)],
+      { userID: "3", catalogue }
+    );
+
+    expect(songs).toEqual([]);
+    expect(listens["3"][0].song_id).toBe("song-10");
+  });
+
+  test("Leaves out podcast episodes", () => {
+    const { listens, rejected } = importSpotifyHistory([
+      stream("2024-08-01T10:05:00", 300000, {
+        master_metadata_track_name: null,
+        master_metadata_album_artist_name: null,
+        episode_name: "Episode 12",
+      }),
+    ]);
+
+    expect(listens).toEqual({});
+    expect(rejected).toEqual([
+      {
+        entry: 1,
+        reason: "Podcast episode, not a song",
+        row: ["2024-08-01T10:05:00", "Episode 12"],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,554 @@
+// Pure listening analytics: no DOM access and no imports from data.mjs, so the
+// numbers can be reused from Node scripts, exports and tests without mocking.
+
+import {
+  filterEventsByDateRange,
+  latestEventDate,
+  nextDayKey,
+  resolveDateRange,
+  shiftDayKey,
+  toDayKey,
+} from "./dateRange.mjs";
+import { FRIDAY_NIGHT, isInTimeWindow } from "./timeWindows.mjs";
+import { detectSessions } from "./sessions.mjs";
+
+/**
+ * How long a listen lasted. Imported histories record the time actually
+ * played in `ms_played`; other events are assumed to be full plays.
+ * @param {{ms_played?: number}} event - The listen event.
+ * @param {{duration_seconds: number}} song - The song listened to.
+ * @returns {number} Seconds.
+ */
+export function playedSeconds(event, song) {
+  return event.ms_played !== undefined
+    ? event.ms_played / 1000
+    : song.duration_seconds;
+}
+
+/**
+ * Builds the unique key a song is counted under, e.g. "Faithless - Insomnia".
+ * @param {{artist: string, title: string}} song - The song.
+ * @returns {string}
+ */
+export function songKeyOf(song) {
+  return `${song.artist} - ${song.title}`;
+}
+
+/**
+ * The genres of a song: its `genres` list when it has one, otherwise its
+ * single `genre`.
+ * @param {{genre?: string, genres?: string[]}} song - The song.
+ * @returns {string[]}
+ */
+export function songGenres(song) {
+  return song.genres?.length > 0 ? song.genres : [song.genre];
+}
+
+/**
+ * Builds the key an album is counted under, e.g. "Frank Turner - Be More Kind",
+ * credited to the album artist when the song has one.
+ * @param {{artist: string, album?: string, album_artist?: string}} song - The song.
+ * @returns {string|null} Null for songs without an album.
+ */
+export function albumKeyOf(song) {
+  return song.album
+    ? `${song.album_artist || song.artist} - ${song.album}`
+    : null;
+}
+
+/**
+ * @param {number} year - A release year, e.g. 1996.
+ * @returns {number|null} The first year of its decade, e.g. 1990; null when
+ *   the year is not a whole number.
+ */
+export function decadeOf(year) {
+  return Number.isInteger(year) ? Math.floor(year / 10) * 10 : null;
+}
+
+/**
+ * Picks the highest scoring key of a tally object.
+ * The first key reaching the top score is the value, the one the original
+ * `reduce` with `>=` kept; every key sharing that score is listed in `ties`.
+ * @param {Object<string, number>} tally - Scores keyed by song, artist, etc.
+ * @returns {{value: string, score: number, ties: string[]}}
+ */
+export function pickTop(tally) {
+  let value = "",
+    score = 0,
+    ties = [];
+
+  for (const [key, keyScore] of Object.entries(tally)) {
+    if (keyScore > score) {
+      value = key;
+      score = keyScore;
+      ties = [key];
+    } else if (keyScore === score && score > 0) {
+      ties.push(key);
+    }
+  }
+
+  return { value, score, ties };
+}
+
+/**
+ * Ranks the keys of a count tally and a time tally by one of them.
+ * Keys with the same score are ordered by the other measure, then by name.
+ * Count rankings leave out keys with no plays, such as songs only skipped.
+ * @param {Object<string, number>} countTally - Plays keyed by song, artist, etc.
+ * @param {Object<string, number>} timeTally - Seconds keyed the same way.
+ * @param {"count"|"time"} by - The measure to rank by.
+ * @param {number} [limit] - How many entries to keep.
+ * @returns {Array<{rank: number, key: string, count: number, time: number, share: number}>}
+ *   Entries with `share` being the fraction of the total of the ranking measure.
+ */
+export function buildLeaderboard(countTally, timeTally, by, limit = Infinity) {
+  const [primary, secondary] =
+    by === "time" ? [timeTally, countTally] : [countTally, timeTally];
+  const total = Object.values(primary).reduce((sum, value) => sum + value, 0);
+
+  return Object.keys(countTally)
+    .filter((key) => by === "time" || countTally[key] > 0)
+    .sort(
+      (a, b) =>
+        primary[b] - primary[a] ||
+        secondary[b] - secondary[a] ||
+        a.localeCompare(b)
+    )
+    .slice(0, limit)
+    .map((key, index) => ({
+      rank: index + 1,
+      key,
+      count: countTally[key],
+      time: timeTally[key],
+      share: total > 0 ? primary[key] / total : 0,
+    }));
+}
+
+/**
+ * Finds the longest run of consecutive calendar days in a set of day keys.
+ * The earliest run wins when several are equally long.
+ * @param {Set<string>|string[]} days - "YYYY-MM-DD" day keys.
+ * @returns {{length: number, start: string, end: string}} The run; empty without days.
+ */
+export function longestDayRun(days) {
+  let best = { length: 0, start: "", end: "" };
+  let run = null;
+
+  for (const day of [...days].sort()) {
+    run =
+      run && nextDayKey(run.end) === day
+        ? { ...run, length: run.length + 1, end: day }
+        : { length: 1, start: day, end: day };
+    if (run.length > best.length) best = run;
+  }
+
+  return best;
+}
+
+// The keys with the longest consecutive-day run, with the dates of each run
+function dayStreak(daysByKey) {
+  let score = 0,
+    runs = [];
+
+  for (const [key, days] of Object.entries(daysByKey)) {
+    const { length, start, end } = longestDayRun(days);
+    if (length > score) {
+      score = length;
+      runs = [{ key, start, end }];
+    } else if (length === score && length > 0) {
+      runs.push({ key, start, end });
+    }
+  }
+
+  return {
+    value: runs.length > 0 ? runs[0].key : "",
+    score,
+    ties: runs.map(({ key }) => key),
+    runs,
+  };
+}
+
+/**
+ * Finds the songs played on at least a given share of days.
+ * With `{ ratio }` a song qualifies when it was played on that fraction of the
+ * active days; with `{ minDays, lastDays }` it needs `minDays` of the last
+ * `lastDays` calendar days, counted back from the latest active day.
+ * @param {Object<string, Set<string>>} songDays - Day keys each song was played on.
+ * @param {Set<string>} listeningDays - Every day key with at least one listen.
+ * @param {{ratio: number}|{minDays: number, lastDays: number}} threshold
+ * @returns {Array<{key: string, days: number, share: number}>} The qualifying
+ *   songs, most frequent first, with `share` being days played / days considered.
+ */
+export function frequentSongs(songDays, listeningDays, threshold) {
+  let isCounted = () => true,
+    dayTotal = listeningDays.size;
+
+  if (threshold.lastDays) {
+    const lastDay = [...listeningDays].sort().pop();
+    const firstDay = lastDay && shiftDayKey(lastDay, 1 - threshold.lastDays);
+    isCounted = (day) => day >= firstDay && day <= lastDay;
+    dayTotal = threshold.lastDays;
+  }
+
+  return Object.entries(songDays)
+    .map(([key, days]) => {
+      const count = [...days].filter(isCounted).length;
+      return { key, days: count, share: dayTotal > 0 ? count / dayTotal : 0 };
+    })
+    .filter(({ days, share }) =>
+      threshold.lastDays
+        ? days > 0 && days >= threshold.minDays
+        : days > 0 && share >= threshold.ratio
+    )
+    .sort((a, b) => b.days - a.days || a.key.localeCompare(b.key));
+}
+
+// Session counts, lengths and the songs that open and close them
+function sessionStats(sessions) {
+  let openers = {},
+    closers = {},
+    longest = { value: null, score: 0, ties: [] };
+
+  for (const session of sessions) {
+    const opener = songKeyOf(session.songs[0]);
+    const closer = songKeyOf(session.songs[session.songs.length - 1]);
+    openers[opener] = (openers[opener] || 0) + 1;
+    closers[closer] = (closers[closer] || 0) + 1;
+
+    if (session.durationSeconds > longest.score) {
+      longest = {
+        value: session,
+        score: session.durationSeconds,
+        ties: [session],
+      };
+    } else if (longest.value && session.durationSeconds === longest.score) {
+      longest.ties.push(session);
+    }
+  }
+
+  const totalSeconds = sessions.reduce((sum, s) => sum + s.durationSeconds, 0);
+  const totalSongs = sessions.reduce((sum, s) => sum + s.songs.length, 0);
+  const average = (total) =>
+    sessions.length > 0 ? total / sessions.length : 0;
+
+  return {
+    list: sessions,
+    count: sessions.length,
+    averageSeconds: average(totalSeconds),
+    averageSongs: average(totalSongs),
+    longest,
+    opener: pickTop(openers),
+    closer: pickTop(closers),
+  };
+}
+
+/**
+ * Builds an empty day-of-week × hour-of-day grid of listening tallies.
+ * @returns {Array<Array<{plays: number, seconds: number, songCount: Object<string, number>}>>}
+ *   Seven rows (0 = Sunday) of 24 hourly cells.
+ */
+function createHeatmapGrid() {
+  return Array.from({ length: 7 }, () =>
+    Array.from({ length: 24 }, () => ({ plays: 0, seconds: 0, songCount: {} }))
+  );
+}
+
+// A "top N" metric: the ranked keys as value, the top score and the keys tied on it
+function topList(countTally, timeTally, by, limit) {
+  const { score, ties } = pickTop(by === "time" ? timeTally : countTally);
+  const value = buildLeaderboard(countTally, timeTally, by, limit).map(
+    ({ key }) => key
+  );
+  return { value, score, ties };
+}
+
+// Plays and time per release decade, oldest decade first, with each decade's
+// share of the plays of songs with a release year
+function decadeDistribution(decadeCount, decadeTime) {
+  const total = Object.values(decadeCount).reduce((sum, n) => sum + n, 0);
+  return Object.keys(decadeCount)
+    .filter((decade) => decadeCount[decade] > 0)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((decade) => ({
+      decade,
+      count: decadeCount[decade],
+      time: decadeTime[decade],
+      share: decadeCount[decade] / total,
+    }));
+}
+
+// Count and time leaderboards over the same pair of tallies
+function buildLeaderboards(countTally, timeTally, limit) {
+  return {
+    byCount: buildLeaderboard(countTally, timeTally, "count", limit),
+    byTime: buildLeaderboard(countTally, timeTally, "time", limit),
+  };
+}
+
+/**
+ * Computes listening statistics for a list of listen events.
+ * Every metric is returned as `{ value, score, ties }`; the raw tallies the
+ * metrics are built from are returned under `tallies`, and the songs behind
+ * the song keys under `songs`.
+ * @param {Array<{song_id: string, timestamp: string}>} events - Listen events.
+ * @param {(songID: string) => object} songLookup - Resolves a song_id to a song.
+ * @param {object} [options] - Computation options.
+ * @param {string|object} [options.range] - A date range or preset (see dateRange.mjs);
+ *   every metric is computed over the events inside it.
+ * @param {Date} [options.referenceDate] - The date relative presets count back
+ *   from. Defaults to the latest event.
+ * @param {object[]} [options.timeWindows] - Time windows (see timeWindows.mjs) to
+ *   find the top song of. Defaults to Friday night only.
+ * @param {number} [options.topN] - Length of the leaderboards. Defaults to 10.
+ * @param {number} [options.topGenres] - How many top genres to report. Defaults to 3.
+ *   Plays of songs with several `genres` are split evenly between them.
+ * @param {number} [options.lovedSongPlays] - Plays that make a song one the
+ *   user loves, for `oldestLovedSong`. Defaults to 3.
+ * @param {object} [options.almostEveryDay] - Threshold for "almost every day"
+ *   songs (see `frequentSongs`). Defaults to 80% of active days.
+ * @param {object} [options.sessions] - Session detection options (see sessions.mjs).
+ * @param {boolean} [options.countPartialPlays] - Count listens marked
+ *   `partial` (streams skipped before the end) as plays. By default they only
+ *   add their listening time, and are left out of play counts, streaks, days
+ *   and sessions.
+ * @returns {object} The computed statistics.
+ */
+export function computeUserStats(events, songLookup, options = {}) {
+  // Restrict the history to the requested date range before counting anything
+  const range = resolveDateRange(
+    options.range,
+    options.referenceDate || latestEventDate(events)
+  );
+  events = filterEventsByDateRange(events, range);
+  const topN = options.topN || 10;
+
+  // ------------------------- Initialize Counters & Data Structures -------------------------
+  // These objects will store the counts and time durations for songs, artists, and genres.
+  let songCount = {},
+    songTime = {},
+    artistCount = {},
+    artistTime = {},
+    genreCount = {},
+    genreTime = {},
+    albumCount = {},
+    albumTime = {},
+    decadeCount = {},
+    decadeTime = {};
+
+  // Additional tracking for specific patterns like time window songs, song streaks, etc.
+  const timeWindows = (options.timeWindows || [FRIDAY_NIGHT]).map(
+    (timeWindow) => ({ timeWindow, songCount: {}, songTime: {} })
+  );
+  let songDays = {},
+    artistDays = {},
+    songs = {};
+  const heatmap = createHeatmapGrid();
+
+  let maxStreak = 0,
+    currentStreak = 1,
+    streakSongs = [],
+    prevSong = "";
+
+  // Skipped streams count for their listening time only
+  const isPlay = (event) => options.countPartialPlays || !event.partial;
+  const plays = events.filter(isPlay);
+
+  // Count the total number of unique days the user listened to music
+  const listeningDays = new Set(
+    plays.map((x) => toDayKey(new Date(x.timestamp)))
+  );
+  const totalDays = listeningDays.size;
+
+  // ------------------------------ Process Each Listening Event ------------------------------
+  for (let event of events) {
+    let song = songLookup(event.song_id); // Retrieve song details
+    let songKey = songKeyOf(song); // Create a unique key for the song
+    const seconds = playedSeconds(event, song); // Listening time of this play
+    const play = isPlay(event) ? 1 : 0; // Whether it counts as a play
+
+    // Remember the song behind each key
+    songs[songKey] = song;
+
+    // Count how many times each song was played
+    songCount[songKey] = (songCount[songKey] || 0) + play;
+    songTime[songKey] = (songTime[songKey] || 0) + seconds;
+
+    // Count how many times each artist was played and total listening time
+    artistCount[song.artist] = (artistCount[song.artist] || 0) + play;
+    artistTime[song.artist] = (artistTime[song.artist] || 0) + seconds;
+
+    // Count genre popularity and listening time, sharing each play out
+    // between the genres of the song
+    const genres = songGenres(song);
+    for (const genre of genres) {
+      genreCount[genre] = (genreCount[genre] || 0) + play / genres.length;
+      genreTime[genre] = (genreTime[genre] || 0) + seconds / genres.length;
+    }
+
+    // Count albums and release decades, for songs that have them
+    const albumKey = albumKeyOf(song);
+    if (albumKey) {
+      albumCount[albumKey] = (albumCount[albumKey] || 0) + play;
+      albumTime[albumKey] = (albumTime[albumKey] || 0) + seconds;
+    }
+    const decade = decadeOf(song.release_year);
+    if (decade !== null) {
+      decadeCount[decade] = (decadeCount[decade] || 0) + play;
+      decadeTime[decade] = (decadeTime[decade] || 0) + seconds;
+    }
+
+    // Identify songs played inside each time window (e.g. Friday 17:00 - Saturday 03:59)
+    let date = new Date(event.timestamp);
+    for (const windowTally of timeWindows) {
+      if (isInTimeWindow(date, windowTally.timeWindow)) {
+        windowTally.songCount[songKey] =
+          (windowTally.songCount[songKey] || 0) + play;
+        windowTally.songTime[songKey] =
+          (windowTally.songTime[songKey] || 0) + seconds;
+      }
+    }
+
+    // Tally plays and listening time per weekday and hour
+    const cell = heatmap[date.getDay()][date.getHours()];
+    cell.plays += play;
+    cell.seconds += seconds;
+    cell.songCount[songKey] = (cell.songCount[songKey] || 0) + play;
+
+    // Days and streaks are made of full plays only
+    if (!play) continue;
+
+    // Track which days each song and artist was played on
+    songDays[songKey] = songDays[songKey] || new Set();
+    songDays[songKey].add(toDayKey(date));
+    artistDays[song.artist] = artistDays[song.artist] || new Set();
+    artistDays[song.artist].add(toDayKey(date));
+
+    // Track longest consecutive listening streak of the same song
+    if (songKey === prevSong) {
+      currentStreak++;
+    } else {
+      currentStreak = 1;
+      prevSong = songKey;
+    }
+    if (currentStreak > maxStreak) {
+      maxStreak = currentStreak;
+      streakSongs = [songKey];
+    } else if (currentStreak === maxStreak && !streakSongs.includes(songKey)) {
+      streakSongs.push(songKey);
+    }
+  }
+
+  // ------------------------------ Compute Final Results ------------------------------
+  // Determine the top genres by plays and by listening time
+  const genreLimit = options.topGenres || 3;
+  const topGenres = topList(genreCount, genreTime, "count", genreLimit);
+  const topGenresByTime = topList(genreCount, genreTime, "time", genreLimit);
+
+  // Find songs played every single day, and those played on most days
+  const everydaySongs = Object.keys(songDays).filter(
+    (song) => songDays[song].size === totalDays
+  );
+  const almostEveryDayThreshold = options.almostEveryDay || { ratio: 0.8 };
+  const almostEveryDay = frequentSongs(
+    songDays,
+    listeningDays,
+    almostEveryDayThreshold
+  );
+
+  // The oldest releases among the songs played often enough to count as loved
+  const lovedSongPlays = options.lovedSongPlays || 3;
+  const lovedSongs = Object.keys(songCount).filter(
+    (key) =>
+      songCount[key] >= lovedSongPlays &&
+      Number.isInteger(songs[key].release_year)
+  );
+  const oldestYear = Math.min(
+    ...lovedSongs.map((key) => songs[key].release_year)
+  );
+  const oldestLovedSongs = lovedSongs.filter(
+    (key) => songs[key].release_year === oldestYear
+  );
+
+  return {
+    range,
+    eventCount: events.length,
+    songs,
+    totalDays,
+    mostPlayedSong: pickTop(songCount),
+    mostPlayedSongByTime: pickTop(songTime),
+    mostPlayedArtist: pickTop(artistCount),
+    mostPlayedArtistByTime: pickTop(artistTime),
+    mostPlayedAlbum: pickTop(albumCount),
+    mostPlayedAlbumByTime: pickTop(albumTime),
+    oldestLovedSong: {
+      value: oldestLovedSongs[0] || "",
+      score: oldestLovedSongs.length > 0 ? oldestYear : 0,
+      ties: oldestLovedSongs,
+      minPlays: lovedSongPlays,
+    },
+    decades: decadeDistribution(decadeCount, decadeTime),
+    timeWindows: timeWindows.map(({ timeWindow, songCount, songTime }) => ({
+      timeWindow,
+      topSong: pickTop(songCount),
+      topSongByTime: pickTop(songTime),
+      leaderboards: buildLeaderboards(songCount, songTime, topN),
+      tallies: { songCount, songTime },
+    })),
+    longestStreak: {
+      value: streakSongs[0] || "",
+      score: maxStreak,
+      ties: streakSongs,
+    },
+    everydaySongs: {
+      value: everydaySongs,
+      score: totalDays,
+      ties: everydaySongs,
+    },
+    almostEveryDaySongs: {
+      value: almostEveryDay.map(({ key }) => key),
+      score: almostEveryDay.length > 0 ? almostEveryDay[0].days : 0,
+      ties: almostEveryDay
+        .filter(({ days }) => days === almostEveryDay[0].days)
+        .map(({ key }) => key),
+      threshold: almostEveryDayThreshold,
+      dayTotal: almostEveryDayThreshold.lastDays || totalDays,
+      songs: almostEveryDay,
+    },
+    sessions: sessionStats(detectSessions(plays, songLookup, options.sessions)),
+    heatmap: heatmap.map((hours) =>
+      hours.map(({ plays, seconds, songCount }) => ({
+        plays,
+        seconds,
+        topSong: pickTop(songCount),
+      }))
+    ),
+    dayStreaks: {
+      songs: dayStreak(songDays),
+      artists: dayStreak(artistDays),
+      anyMusic: longestDayRun(listeningDays),
+    },
+    topGenres,
+    topGenresByTime,
+    leaderboards: {
+      songs: buildLeaderboards(songCount, songTime, topN),
+      artists: buildLeaderboards(artistCount, artistTime, topN),
+      genres: buildLeaderboards(genreCount, genreTime, topN),
+      albums: buildLeaderboards(albumCount, albumTime, topN),
+    },
+    tallies: {
+      songCount,
+      songTime,
+      artistCount,
+      artistTime,
+      genreCount,
+      genreTime,
+      albumCount,
+      albumTime,
+      decadeCount,
+      decadeTime,
+      songDays,
+      artistDays,
+    },
+  };
+}
@@ -0,0 +1,369 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  buildLeaderboard,
+  computeUserStats,
+  frequentSongs,
+  longestDayRun,
+  pickTop,
+} from "./stats.mjs";
+
+const songs = {
+  1: { artist: "A", title: "One", genre: "Pop", duration_seconds: 100 },
+  2: { artist: "B", title: "Two", genre: "Jazz", duration_seconds: 200 },
+};
+const songLookup = (id) => songs[id];
+
+describe("computeUserStats()", () => {
+  test("Returns value, score and ties for each metric", () => {
+    const events = [
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      { song_id: "2", timestamp: "2024-08-01T11:00:00" },
+    ];
+
+    const stats = computeUserStats(events, songLookup);
+
+    expect(stats.mostPlayedSong).toEqual({
+      value: "A - One",
+      score: 1,
+      ties: ["A - One", "B - Two"],
+    });
+    expect(stats.mostPlayedSongByTime).toEqual({
+      value: "B - Two",
+      score: 200,
+      ties: ["B - Two"],
+    });
+  });
+
+  test("Counts partial plays for the time actually played", () => {
+    const events = [
+      { song_id: "2", timestamp: "2024-08-01T10:00:00", ms_played: 30000 },
+      { song_id: "2", timestamp: "2024-08-01T11:00:00" },
+    ];
+
+    const stats = computeUserStats(events, songLookup);
+
+    expect(stats.tallies.songCount["B - Two"]).toBe(2);
+    expect(stats.tallies.songTime["B - Two"]).toBe(230);
+  });
+
+  test("Does not count skipped streams as plays", () => {
+    const events = [
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      {
+        song_id: "2",
+        timestamp: "2024-08-02T10:00:00",
+        ms_played: 30000,
+        partial: true,
+      },
+      { song_id: "1", timestamp: "2024-08-03T10:00:00" },
+    ];
+
+    const stats = computeUserStats(events, songLookup);
+
+    expect(stats.tallies.songCount["B - Two"]).toBe(0);
+    expect(stats.tallies.songTime["B - Two"]).toBe(30);
+    expect(stats.mostPlayedArtist.ties).toEqual(["A"]);
+    expect(stats.longestStreak).toMatchObject({ value: "A - One", score: 2 });
+    expect(stats.totalDays).toBe(2);
+    expect(stats.everydaySongs.value).toEqual(["A - One"]);
+    expect(stats.sessions.count).toBe(2);
+    expect(
+      computeUserStats(events, songLookup, { countPartialPlays: true }).tallies
+        .songCount["B - Two"]
+    ).toBe(1);
+  });
+
+  test("Leaves songs only heard as skipped streams out of count rankings", () => {
+    const events = [
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      {
+        song_id: "2",
+        timestamp: "2024-08-01T11:00:00",
+        ms_played: 30000,
+        partial: true,
+      },
+    ];
+
+    const stats = computeUserStats(events, songLookup, { topGenres: 2 });
+
+    const keys = (leaderboard) => leaderboard.map(({ key }) => key);
+    expect(keys(stats.leaderboards.songs.byCount)).toEqual(["A - One"]);
+    expect(keys(stats.leaderboards.artists.byCount)).toEqual(["A"]);
+    expect(keys(stats.leaderboards.genres.byCount)).toEqual(["Pop"]);
+    expect(stats.topGenres.value).toEqual(["Pop"]);
+    expect(keys(stats.leaderboards.songs.byTime)).toEqual([
+      "A - One",
+      "B - Two",
+    ]);
+    expect(stats.topGenresByTime.value).toEqual(["Pop", "Jazz"]);
+  });
+
+  test("Returns empty metrics when there are no events", () => {
+    const stats = computeUserStats([], songLookup);
+
+    expect(stats.totalDays).toBe(0);
+    expect(stats.mostPlayedArtist).toEqual({ value: "", score: 0, ties: [] });
+    expect(stats.longestStreak.ties).toEqual([]);
+  });
+
+  test("Computes every metric over the requested date range only", () => {
+    const events = [
+      { song_id: "2", timestamp: "2024-07-31T10:00:00" },
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      { song_id: "1", timestamp: "2024-08-02T10:00:00" },
+    ];
+
+    const stats = computeUserStats(events, songLookup, { range: "2024-08" });
+
+    expect(stats.eventCount).toBe(2);
+    expect(stats.totalDays).toBe(2);
+    expect(stats.mostPlayedArtistByTime.value).toBe("A");
+    expect(stats.everydaySongs.value).toEqual(["A - One"]);
+  });
+});
+
+describe("computeUserStats() genres", () => {
+  test("Ranks genres by listening time as well as by plays", () => {
+    const events = [
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      { song_id: "1", timestamp: "2024-08-01T10:05:00" },
+      { song_id: "2", timestamp: "2024-08-01T10:10:00" },
+    ];
+    const longSongs = {
+      ...songs,
+      2: {
+        artist: "C",
+        title: "Insomnia",
+        genre: "Jazz",
+        duration_seconds: 518,
+      },
+    };
+
+    const stats = computeUserStats(events, (id) => longSongs[id], {
+      topGenres: 1,
+    });
+
+    expect(stats.topGenres).toEqual({
+      value: ["Pop"],
+      score: 2,
+      ties: ["Pop"],
+    });
+    expect(stats.topGenresByTime).toEqual({
+      value: ["Jazz"],
+      score: 518,
+      ties: ["Jazz"],
+    });
+  });
+});
+
+describe("computeUserStats() song metadata", () => {
+  const albumSongs = {
+    1: {
+      artist: "Frank Turner",
+      title: "Be More Kind",
+      album: "Be More Kind",
+      release_year: 2018,
+      genres: ["Folk", "Punk"],
+      duration_seconds: 200,
+    },
+    2: {
+      artist: "Faithless",
+      title: "Insomnia",
+      album: "Reverence",
+      release_year: 1995,
+      genre: "Dance",
+      duration_seconds: 400,
+    },
+    3: { artist: "C", title: "Three", genre: "Pop", duration_seconds: 100 },
+  };
+  const events = ["1", "1", "1", "2", "2", "3"].map((song_id, i) => ({
+    song_id,
+    timestamp: `2024-08-01T10:0${i}:00`,
+  }));
+  const stats = computeUserStats(events, (id) => albumSongs[id], {
+    lovedSongPlays: 2,
+  });
+
+  test("Splits the plays of songs with several genres", () => {
+    expect(stats.tallies.genreCount).toEqual({
+      Folk: 1.5,
+      Punk: 1.5,
+      Dance: 2,
+      Pop: 1,
+    });
+    expect(stats.topGenres.value).toEqual(["Dance", "Folk", "Punk"]);
+  });
+
+  test("Ranks albums and spreads plays over release decades", () => {
+    expect(stats.mostPlayedAlbum).toEqual({
+      value: "Frank Turner - Be More Kind",
+      score: 3,
+      ties: ["Frank Turner - Be More Kind"],
+    });
+    expect(stats.mostPlayedAlbumByTime.value).toBe("Faithless - Reverence");
+    expect(stats.decades).toEqual([
+      { decade: 1990, count: 2, time: 800, share: 0.4 },
+      { decade: 2010, count: 3, time: 600, share: 0.6 },
+    ]);
+  });
+
+  test("Finds the oldest song played often enough to be loved", () => {
+    expect(stats.oldestLovedSong).toEqual({
+      value: "Faithless - Insomnia",
+      score: 1995,
+      ties: ["Faithless - Insomnia"],
+      minPlays: 2,
+    });
+    expect(
+      computeUserStats(events, (id) => albumSongs[id]).oldestLovedSong.value
+    ).toBe("Frank Turner - Be More Kind");
+  });
+});
+
+describe("pickTop()", () => {
+  test("Keeps the first tied key as the value and lists every tie", () => {
+    const tally = { a: 2, b: 3, c: 3, d: 1 };
+    const reduced = Object.keys(tally).reduce(
+      (a, b) => (tally[a] >= tally[b] ? a : b),
+      ""
+    );
+
+    expect(pickTop(tally)).toEqual({ value: "b", score: 3, ties: ["b", "c"] });
+    expect(pickTop(tally).value).toBe(reduced);
+  });
+});
+
+describe("buildLeaderboard()", () => {
+  test("Ranks by the chosen measure with counts, time and share", () => {
+    const count = { A: 3, B: 1, C: 1 };
+    const time = { A: 300, B: 400, C: 100 };
+
+    expect(buildLeaderboard(count, time, "count", 2)).toEqual([
+      { rank: 1, key: "A", count: 3, time: 300, share: 0.6 },
+      { rank: 2, key: "B", count: 1, time: 400, share: 0.2 },
+    ]);
+    expect(buildLeaderboard(count, time, "time").map(({ key }) => key)).toEqual(
+      ["B", "A", "C"]
+    );
+  });
+});
+
+describe("longestDayRun()", () => {
+  test("Finds the earliest longest run of consecutive days", () => {
+    const days = new Set([
+      "2024-02-27",
+      "2024-02-28",
+      "2024-02-29",
+      "2024-03-01",
+      "2024-03-05",
+      "2024-03-06",
+    ]);
+
+    expect(longestDayRun(days)).toEqual({
+      length: 4,
+      start: "2024-02-27",
+      end: "2024-03-01",
+    });
+    expect(longestDayRun([])).toEqual({ length: 0, start: "", end: "" });
+  });
+});
+
+describe("computeUserStats() day streaks", () => {
+  test("Reports consecutive-day streaks per song, artist and overall", () => {
+    const events = [
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      { song_id: "2", timestamp: "2024-08-02T10:00:00" },
+      { song_id: "1", timestamp: "2024-08-03T10:00:00" },
+      { song_id: "2", timestamp: "2024-08-03T11:00:00" },
+    ];
+
+    const { dayStreaks } = computeUserStats(events, songLookup);
+
+    expect(dayStreaks.songs).toEqual({
+      value: "B - Two",
+      score: 2,
+      ties: ["B - Two"],
+      runs: [{ key: "B - Two", start: "2024-08-02", end: "2024-08-03" }],
+    });
+    expect(dayStreaks.anyMusic).toEqual({
+      length: 3,
+      start: "2024-08-01",
+      end: "2024-08-03",
+    });
+  });
+});
+
+describe("frequentSongs()", () => {
+  const listeningDays = new Set([
+    "2024-08-01",
+    "2024-08-02",
+    "2024-08-03",
+    "2024-08-04",
+    "2024-08-05",
+  ]);
+  const songDays = {
+    "A - One": new Set([
+      "2024-08-01",
+      "2024-08-02",
+      "2024-08-03",
+      "2024-08-04",
+    ]),
+    "B - Two": new Set(["2024-08-04", "2024-08-05"]),
+  };
+
+  test("Keeps songs played on at least a share of active days", () => {
+    expect(frequentSongs(songDays, listeningDays, { ratio: 0.8 })).toEqual([
+      { key: "A - One", days: 4, share: 0.8 },
+    ]);
+  });
+
+  test("Counts only the last N days when asked to", () => {
+    const threshold = { minDays: 2, lastDays: 2 };
+
+    expect(frequentSongs(songDays, listeningDays, threshold)).toEqual([
+      { key: "B - Two", days: 2, share: 1 },
+    ]);
+  });
+});
+
+describe("computeUserStats() sessions", () => {
+  test("Reports session openers, closers and lengths", () => {
+    const events = [
+      { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+      { song_id: "2", timestamp: "2024-08-01T10:02:00" },
+      { song_id: "1", timestamp: "2024-08-01T20:00:00" },
+    ];
+
+    const { sessions } = computeUserStats(events, songLookup);
+
+    expect(sessions.count).toBe(2);
+    expect(sessions.averageSongs).toBe(1.5);
+    expect(sessions.opener).toEqual({
+      value: "A - One",
+      score: 2,
+      ties: ["A - One"],
+    });
+    expect(sessions.longest.score).toBe(320);
+  });
+});
+
+describe("computeUserStats() heatmap", () => {
+  test("Tallies plays, time and the top song per weekday and hour", () => {
+    // 2024-08-02 is a Friday
+    const events = [
+      { song_id: "1", timestamp: "2024-08-02T21:05:00" },
+      { song_id: "2", timestamp: "2024-08-02T21:40:00" },
+      { song_id: "2", timestamp: "2024-08-02T21:50:00" },
+    ];
+
+    const { heatmap } = computeUserStats(events, songLookup);
+
+    expect(heatmap).toHaveLength(7);
+    expect(heatmap[5][21]).toEqual({
+      plays: 3,
+      seconds: 500,
+      topSong: { value: "B - Two", score: 2, ties: ["B - Two"] },
+    });
+    expect(heatmap[5][22].plays).toBe(0);
+  });
+});
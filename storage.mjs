@@ -0,0 +1,212 @@
+// Browser storage for imported listening history, kept in IndexedDB so it
+// survives reloads. The database has three object stores:
+//   songs   - songs keyed by `id`
+//   listens - listen events, each with the `userID` it belongs to
+//   users   - `{ id, timeZone }` for users whose time zone was set
+// Each entry of MIGRATIONS moves the schema up one version; a browser holding
+// an older version runs the ones it has not had yet when the app opens.
+
+export const DATABASE_NAME = "project-music-data";
+
+const STORE_NAMES = ["songs", "listens", "users"];
+
+/** Schema migrations; entry `i` upgrades version `i` to version `i + 1`. */
+export const MIGRATIONS = [
+  // Version 1: the three stores, with listens looked up by user
+  (db) => {
+    db.createObjectStore("songs", { keyPath: "id" });
+    db.createObjectStore("users", { keyPath: "id" });
+    db.createObjectStore("listens", { autoIncrement: true }).createIndex(
+      "userID",
+      "userID"
+    );
+  },
+];
+
+/**
+ * Runs the migrations a database has not had yet, in order.
+ * @param {IDBDatabase} db - The database being upgraded.
+ * @param {IDBTransaction} transaction - The upgrade transaction, for
+ *   migrations that change existing stores.
+ * @param {number} oldVersion - The version found; 0 for a new database.
+ * @param {Function[]} [migrations] - Defaults to `MIGRATIONS`.
+ */
+export function upgradeDatabase(
+  db,
+  transaction,
+  oldVersion,
+  migrations = MIGRATIONS
+) {
+  migrations.slice(oldVersion).forEach((migrate) => migrate(db, transaction));
+}
+
+/**
+ * Opens the database, creating or upgrading it to the latest version.
+ * @param {object} [options]
+ * @param {IDBFactory} [options.indexedDB] - Defaults to the browser's.
+ * @param {string} [options.name] - Defaults to `DATABASE_NAME`.
+ * @param {Function[]} [options.migrations] - Defaults to `MIGRATIONS`; the
+ *   database version is their number.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+export function openDatabase(options = {}) {
+  const factory = options.indexedDB || globalThis.indexedDB;
+  const migrations = options.migrations || MIGRATIONS;
+  if (!factory) {
+    return Promise.reject(new Error("This browser cannot store data"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = factory.open(
+      options.name || DATABASE_NAME,
+      migrations.length
+    );
+    request.onupgradeneeded = (event) =>
+      upgradeDatabase(
+        request.result,
+        request.transaction,
+        event.oldVersion,
+        migrations
+      );
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let the app in another tab upgrade the database
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(
+        new Error("Close the app in other tabs to update its stored data")
+      );
+  });
+}
+
+// Resolves with the result of a request
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once a transaction is committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Storing the data was cancelled"));
+  });
+}
+
+/**
+ * Turns a dataset into the records of each store.
+ * @param {{
+ *   songs?: object[],
+ *   listens?: Object<string, object[]>,
+ *   timeZones?: Object<string, string>
+ * }} dataset - As taken by `createMemorySource`.
+ * @returns {{songs: object[], listens: object[], users: object[]}} Records
+ *   keyed by store name.
+ */
+export function toStoredRecords(dataset) {
+  return {
+    songs: dataset.songs || [],
+    listens: Object.entries(dataset.listens || {}).flatMap(([userID, events]) =>
+      events.map((event) => ({ ...event, userID }))
+    ),
+    users: Object.entries(dataset.timeZones || {}).map(([id, timeZone]) => ({
+      id,
+      timeZone,
+    })),
+  };
+}
+
+/**
+ * Turns stored records back into a dataset, the reverse of `toStoredRecords`.
+ * @param {{songs: object[], listens: object[], users: object[]}} records
+ * @returns {{
+ *   songs: object[],
+ *   listens: Object<string, object[]>,
+ *   timeZones: Object<string, string>
+ * }} The dataset, listens in the order they were stored.
+ */
+export function fromStoredRecords({ songs, listens, users }) {
+  const listensByUser = {};
+  for (const { userID, ...event } of listens) {
+    listensByUser[userID] = listensByUser[userID] || [];
+    listensByUser[userID].push(event);
+  }
+
+  return {
+    songs,
+    listens: listensByUser,
+    timeZones: Object.fromEntries(
+      users.map(({ id, timeZone }) => [id, timeZone])
+    ),
+  };
+}
+
+/**
+ * Reads everything stored.
+ * @param {IDBDatabase} db - From `openDatabase`.
+ * @returns {Promise<object>} The dataset, see `fromStoredRecords`.
+ */
+export async function loadStoredDataset(db) {
+  const transaction = db.transaction(STORE_NAMES, "readonly");
+  const [songs, listens, users] = await Promise.all(
+    STORE_NAMES.map((name) =>
+      requestResult(transaction.objectStore(name).getAll())
+    )
+  );
+  return fromStoredRecords({ songs, listens, users });
+}
+
+// A listen is the same user playing the same song at the same time
+function listenKey({ userID, song_id, timestamp }) {
+  return `${userID} ${song_id} ${timestamp}`;
+}
+
+/**
+ * Adds a dataset to the stored one, in a single transaction. Songs and time
+ * zones replace stored ones with the same ID; listens are added unless they
+ * are stored already, so importing the same file again changes nothing.
+ * @param {IDBDatabase} db - From `openDatabase`.
+ * @param {object} dataset - As taken by `createMemorySource`.
+ * @returns {Promise<void>} Resolves once the data is saved.
+ */
+export function saveDataset(db, dataset) {
+  const records = toStoredRecords(dataset);
+  const transaction = db.transaction(STORE_NAMES, "readwrite");
+  const done = transactionDone(transaction);
+  const listens = transaction.objectStore("listens");
+
+  records.songs.forEach((song) => transaction.objectStore("songs").put(song));
+  records.users.forEach((user) => transaction.objectStore("users").put(user));
+
+  // Added from the success callback, while the transaction is still active
+  const stored = listens.getAll();
+  stored.onsuccess = () => {
+    const seen = new Set(stored.result.map(listenKey));
+    for (const listen of records.listens) {
+      if (seen.has(listenKey(listen))) continue;
+      seen.add(listenKey(listen));
+      listens.add(listen);
+    }
+  };
+
+  return done;
+}
+
+/**
+ * Deletes everything stored.
+ * @param {IDBDatabase} db - From `openDatabase`.
+ * @returns {Promise<void>} Resolves once the stores are empty.
+ */
+export function clearStoredData(db) {
+  const transaction = db.transaction(STORE_NAMES, "readwrite");
+  const done = transactionDone(transaction);
+  STORE_NAMES.forEach((name) => transaction.objectStore(name).clear());
+  return done;
+}
@@ -0,0 +1,195 @@
+import { describe, test, expect, jest } from "@jest/globals";
+import {
+  MIGRATIONS,
+  clearStoredData,
+  fromStoredRecords,
+  loadStoredDataset,
+  openDatabase,
+  saveDataset,
+  toStoredRecords,
+  upgradeDatabase,
+} from "./storage.mjs";
+
+const dataset = {
+  songs: [{ id: "song-x", artist: "A", title: "One", duration_seconds: 100 }],
+  listens: {
+    7: [
+      { song_id: "song-x", timestamp: "2024-08-01T10:00:00" },
+      { song_id: "song-x", timestamp: "2024-08-01T11:00:00" },
+    ],
+    8: [{ song_id: "song-x", timestamp: "2024-08-02T10:00:00" }],
+  },
+  timeZones: { 7: "Asia/Tokyo" },
+};
+
+// Records the stores and indexes a migration creates
+function createDatabaseStub() {
+  const stores = {};
+  return {
+    stores,
+    createObjectStore(name, options) {
+      stores[name] = { options, indexes: [] };
+      return {
+        createIndex: (indexName, keyPath) =>
+          stores[name].indexes.push([indexName, keyPath]),
+      };
+    },
+  };
+}
+
+// An open database holding its stores in memory. Requests succeed on a later
+// tick, and a transaction completes once none of its requests is pending.
+function createStoreStub() {
+  const data = { songs: new Map(), users: new Map(), listens: new Map() };
+  let nextListenKey = 1;
+
+  const db = {
+    data,
+    transaction() {
+      const transaction = {};
+      let pending = 0;
+      const request = (run) => {
+        const req = {};
+        pending++;
+        setTimeout(() => {
+          req.result = run();
+          req.onsuccess?.();
+          if (--pending === 0) transaction.oncomplete?.();
+        });
+        return req;
+      };
+
+      transaction.objectStore = (name) => ({
+        put: (record) => request(() => data[name].set(record.id, record)),
+        add: (record) => request(() => data[name].set(nextListenKey++, record)),
+        getAll: () => request(() => [...data[name].values()]),
+        clear: () => request(() => data[name].clear()),
+      });
+      return transaction;
+    },
+  };
+  return db;
+}
+
+describe("upgradeDatabase()", () => {
+  test("Runs only the migrations after the stored version", () => {
+    const migrations = [jest.fn(), jest.fn(), jest.fn()];
+
+    upgradeDatabase("db", "transaction", 1, migrations);
+
+    expect(migrations[0]).not.toHaveBeenCalled();
+    expect(migrations[1]).toHaveBeenCalledWith("db", "transaction");
+    expect(migrations[2]).toHaveBeenCalledWith("db", "transaction");
+  });
+
+  test("Creates the stores in a new database", () => {
+    const db = createDatabaseStub();
+
+    upgradeDatabase(db, null, 0);
+
+    expect(Object.keys(db.stores).sort()).toEqual([
+      "listens",
+      "songs",
+      "users",
+    ]);
+    expect(db.stores.listens.indexes).toEqual([["userID", "userID"]]);
+  });
+});
+
+describe("openDatabase()", () => {
+  test("Opens at the version of the last migration and upgrades", async () => {
+    const db = createDatabaseStub();
+    const request = { result: db, transaction: "upgrade" };
+    const factory = {
+      open: jest.fn(() => {
+        setTimeout(() => {
+          request.onupgradeneeded({ oldVersion: 0 });
+          request.onsuccess();
+        });
+        return request;
+      }),
+    };
+
+    await expect(openDatabase({ indexedDB: factory })).resolves.toBe(db);
+    expect(factory.open).toHaveBeenCalledWith(
+      "project-music-data",
+      MIGRATIONS.length
+    );
+    expect(db.stores.songs).toBeDefined();
+  });
+
+  test("Fails where the browser has no IndexedDB", async () => {
+    await expect(openDatabase({ indexedDB: null })).rejects.toThrow(
+      "This browser cannot store data"
+    );
+  });
+});
+
+describe("saveDataset()", () => {
+  test("Saves a dataset that loads back the same", async () => {
+    const db = createStoreStub();
+
+    await saveDataset(db, dataset);
+
+    await expect(loadStoredDataset(db)).resolves.toEqual(dataset);
+  });
+
+  test("Adds to the stored data, replacing songs and time zones", async () => {
+    const db = createStoreStub();
+    const renamed = { ...dataset.songs[0], title: "One (Live)" };
+
+    await saveDataset(db, dataset);
+    await saveDataset(db, {
+      songs: [renamed],
+      listens: { 8: [{ song_id: "song-x", timestamp: "2024-08-03T10:00:00" }] },
+      timeZones: { 7: "Europe/London" },
+    });
+    const stored = await loadStoredDataset(db);
+
+    expect(stored.songs).toEqual([renamed]);
+    expect(stored.listens[8]).toHaveLength(2);
+    expect(stored.timeZones).toEqual({ 7: "Europe/London" });
+  });
+
+  test("Does not store listens again when the same data is saved twice", async () => {
+    const db = createStoreStub();
+
+    await saveDataset(db, dataset);
+    await saveDataset(db, dataset);
+
+    expect(db.data.listens.size).toBe(3);
+    await expect(loadStoredDataset(db)).resolves.toEqual(dataset);
+  });
+});
+
+describe("clearStoredData()", () => {
+  test("Empties every store", async () => {
+    const db = createStoreStub();
+    await saveDataset(db, dataset);
+
+    await clearStoredData(db);
+
+    await expect(loadStoredDataset(db)).resolves.toEqual({
+      songs: [],
+      listens: {},
+      timeZones: {},
+    });
+  });
+});
+
+describe("toStoredRecords()", () => {
+  test("Files each listen with its user", () => {
+    const records = toStoredRecords(dataset);
+
+    expect(records.listens[2]).toEqual({
+      song_id: "song-x",
+      timestamp: "2024-08-02T10:00:00",
+      userID: "8",
+    });
+    expect(records.users).toEqual([{ id: "7", timeZone: "Asia/Tokyo" }]);
+  });
+
+  test("Reads back as the same dataset", () => {
+    expect(fromStoredRecords(toStoredRecords(dataset))).toEqual(dataset);
+  });
+});
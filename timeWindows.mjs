@@ -0,0 +1,96 @@
+// Recurring weekly time windows such as "Friday night" or "weekday mornings".
+// A window opens at `startHour` on each of its `days` (0 = Sunday) and closes
+// at `endHour`; when `endHour` is not after `startHour` the window wraps past
+// midnight into the following day.
+
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const FRIDAY_NIGHT = {
+  id: "friday-night",
+  label: "Friday night",
+  days: [5],
+  startHour: 17,
+  endHour: 4,
+};
+
+export const PREDEFINED_TIME_WINDOWS = [
+  FRIDAY_NIGHT,
+  {
+    id: "weekday-mornings",
+    label: "Weekday mornings",
+    days: [1, 2, 3, 4, 5],
+    startHour: 6,
+    endHour: 12,
+  },
+  {
+    id: "sunday-afternoons",
+    label: "Sunday afternoons",
+    days: [0],
+    startHour: 12,
+    endHour: 18,
+  },
+];
+
+function isHour(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 23;
+}
+
+/**
+ * Validates a window definition and fills in its id.
+ * @param {{label: string, days: number[], startHour: number, endHour: number}} definition
+ * @returns {{id: string, label: string, days: number[], startHour: number, endHour: number}}
+ */
+export function createTimeWindow({ label, days, startHour, endHour }) {
+  const name = (label || "").trim();
+  if (!name) {
+    throw new Error("A time window needs a name");
+  }
+  if (!Array.isArray(days) || days.length === 0) {
+    throw new Error("A time window needs at least one day");
+  }
+  if (!days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error("Days must be numbers from 0 (Sunday) to 6 (Saturday)");
+  }
+  if (!isHour(startHour) || !isHour(endHour)) {
+    throw new Error("Start and end hours must be whole hours from 0 to 23");
+  }
+
+  return {
+    id: name.toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+    label: name,
+    days: [...new Set(days)].sort((a, b) => a - b),
+    startHour,
+    endHour,
+  };
+}
+
+/**
+ * Checks whether a moment falls inside a time window.
+ * @param {Date} date - The moment to check, read in local time.
+ * @param {{days: number[], startHour: number, endHour: number}} window
+ * @returns {boolean}
+ */
+export function isInTimeWindow(date, { days, startHour, endHour }) {
+  const day = date.getDay(),
+    hour = date.getHours();
+  const wraps = endHour <= startHour;
+
+  // Same-day part of the window
+  if (days.includes(day) && hour >= startHour && (wraps || hour < endHour)) {
+    return true;
+  }
+
+  // Early hours of the day after a window that wraps past midnight
+  return wraps && days.includes((day + 6) % 7) && hour < endHour;
+}
+
+/**
+ * Describes a window for display, e.g. "Fri 17:00–04:00".
+ * @param {{days: number[], startHour: number, endHour: number}} window
+ * @returns {string}
+ */
+export function describeTimeWindow({ days, startHour, endHour }) {
+  const hour = (h) => `${String(h).padStart(2, "0")}:00`;
+  const dayList = days.map((day) => DAY_NAMES[day]).join(", ");
+  return `${dayList} ${hour(startHour)}–${hour(endHour)}`;
+}
@@ -0,0 +1,64 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  FRIDAY_NIGHT,
+  createTimeWindow,
+  describeTimeWindow,
+  isInTimeWindow,
+} from "./timeWindows.mjs";
+
+describe("isInTimeWindow()", () => {
+  test("Wraps Friday night past midnight into Saturday morning", () => {
+    // 2024-08-30 is a Friday
+    expect(isInTimeWindow(new Date(2024, 7, 30, 16, 59), FRIDAY_NIGHT)).toBe(
+      false
+    );
+    expect(isInTimeWindow(new Date(2024, 7, 30, 17, 0), FRIDAY_NIGHT)).toBe(
+      true
+    );
+    expect(isInTimeWindow(new Date(2024, 7, 31, 3, 59), FRIDAY_NIGHT)).toBe(
+      true
+    );
+    expect(isInTimeWindow(new Date(2024, 7, 31, 4, 0), FRIDAY_NIGHT)).toBe(
+      false
+    );
+  });
+
+  test("Ends same-day windows at the end hour", () => {
+    const mornings = createTimeWindow({
+      label: "Weekday mornings",
+      days: [1, 2, 3, 4, 5],
+      startHour: 6,
+      endHour: 12,
+    });
+
+    expect(isInTimeWindow(new Date(2024, 7, 26, 11, 30), mornings)).toBe(true);
+    expect(isInTimeWindow(new Date(2024, 7, 26, 12, 0), mornings)).toBe(false);
+    expect(isInTimeWindow(new Date(2024, 7, 25, 11, 30), mornings)).toBe(false);
+  });
+});
+
+describe("createTimeWindow()", () => {
+  test("Derives an id and sorts the days", () => {
+    const timeWindow = createTimeWindow({
+      label: " Sunday Afternoons ",
+      days: [6, 0],
+      startHour: 12,
+      endHour: 18,
+    });
+
+    expect(timeWindow).toEqual({
+      id: "sunday-afternoons",
+      label: "Sunday Afternoons",
+      days: [0, 6],
+      startHour: 12,
+      endHour: 18,
+    });
+    expect(describeTimeWindow(timeWindow)).toBe("Sun, Sat 12:00–18:00");
+  });
+
+  test("Rejects windows without days", () => {
+    expect(() =>
+      createTimeWindow({ label: "Never", days: [], startHour: 1, endHour: 2 })
+    ).toThrow("at least one day");
+  });
+});
@@ -0,0 +1,159 @@
+// Time zone helpers. A timestamp without an offset, like the ones in data.mjs,
+// is a wall-clock time in the listener's time zone. Before the analytics
+// bucket anything by day or hour, events are rewritten to the wall-clock time
+// of the zone the results are shown in, so the local Date getters they use
+// read that zone whichever zone the browser is in.
+
+/** The zone of listeners nobody configured a time zone for. */
+export const DEFAULT_TIME_ZONE = "UTC";
+
+// "2024-08-01T10:15:00" or "2024-08-01 10:15", with no offset
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const formatters = new Map();
+
+// Formatting is the slow part, so each zone's formatter is made once
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// The calendar fields of an instant as seen in a zone
+function wallClockParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// How far ahead of UTC the zone is at an instant, in milliseconds
+function zoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = wallClockParts(
+    date,
+    timeZone
+  );
+  const seconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Date.UTC(year, month - 1, day, hour, minute, second) - seconds;
+}
+
+/**
+ * @returns {string} The IANA time zone of whoever is viewing the page.
+ */
+export function getViewerTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * @param {string} timeZone - e.g. "Europe/London".
+ * @returns {boolean} Whether the name is a time zone this browser knows.
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @returns {string[]} The time zones this browser knows, for pickers.
+ */
+export function listTimeZones() {
+  return Intl.supportedValuesOf
+    ? Intl.supportedValuesOf("timeZone")
+    : [DEFAULT_TIME_ZONE];
+}
+
+/**
+ * Reads a timestamp. One without an offset is a wall-clock time in the given
+ * zone; anything else is handed to the Date constructor.
+ * @param {string} timestamp - e.g. "2024-08-01T10:15:00" or "2024-08-01T09:15:00Z".
+ * @param {string} timeZone - The zone of wall-clock timestamps.
+ * @returns {Date} The instant; invalid when the timestamp cannot be read.
+ */
+export function parseTimestamp(timestamp, timeZone) {
+  const text = String(timestamp ?? "").trim();
+  const match = WALL_CLOCK.exec(text);
+  if (!match || Number.isNaN(new Date(text).getTime())) {
+    return new Date(text || NaN);
+  }
+
+  const [year, month, day, hour, minute, second] = match
+    .slice(1)
+    .map((field) => Number(field ?? 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset found for the wall-clock time read as UTC can be an hour out
+  // next to a daylight saving change; a second pass settles it
+  const guess = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - zoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Formats an instant as a wall-clock timestamp without offset, like the
+ * events in data.mjs.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The zone to read the clock in.
+ * @returns {string} e.g. "2024-08-01T10:15:00".
+ */
+export function toWallClock(date, timeZone) {
+  const { year, month, day, hour, minute, second } = wallClockParts(
+    date,
+    timeZone
+  );
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${year}-${pad(month)}-${pad(day)}` +
+    `T${pad(hour)}:${pad(minute)}:${pad(second)}`
+  );
+}
+
+/**
+ * Rewrites listen events to the wall-clock time of another zone. Their
+ * `timestamp` becomes a timestamp without offset in `timeZone`, and
+ * `seconds_since_midnight` follows it.
+ * @param {object[]} events - Listen events.
+ * @param {object} zones
+ * @param {string} zones.listenerTimeZone - The zone the listener was in, which
+ *   timestamps without an offset are in.
+ * @param {string} zones.timeZone - The zone to show the events in.
+ * @returns {object[]} The rewritten events; unchanged when they already are
+ *   wall-clock times in `timeZone`.
+ */
+export function convertEvents(events, { listenerTimeZone, timeZone }) {
+  return events.map((event) => {
+    if (
+      listenerTimeZone === timeZone &&
+      WALL_CLOCK.test(String(event.timestamp))
+    ) {
+      return event;
+    }
+
+    const instant = parseTimestamp(event.timestamp, listenerTimeZone);
+    if (Number.isNaN(instant.getTime())) return event;
+
+    const timestamp = toWallClock(instant, timeZone);
+    const [hour, minute, second] = timestamp.slice(11).split(":").map(Number);
+    return {
+      ...event,
+      timestamp,
+      seconds_since_midnight: hour * 3600 + minute * 60 + second,
+    };
+  });
+}
@@ -0,0 +1,86 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  convertEvents,
+  isValidTimeZone,
+  parseTimestamp,
+  toWallClock,
+} from "./timeZones.mjs";
+
+describe("parseTimestamp()", () => {
+  test("Reads timestamps without an offset in the given zone", () => {
+    expect(parseTimestamp("2024-08-01T10:15:00", "Europe/London")).toEqual(
+      new Date("2024-08-01T09:15:00Z")
+    );
+    expect(parseTimestamp("2024-01-15 23:30", "America/New_York")).toEqual(
+      new Date("2024-01-16T04:30:00Z")
+    );
+  });
+
+  test("Finds the right offset on the day clocks change", () => {
+    // London moved to summer time at 01:00 UTC on 31 March 2024
+    expect(parseTimestamp("2024-03-31T00:30:00", "Europe/London")).toEqual(
+      new Date("2024-03-31T00:30:00Z")
+    );
+    expect(parseTimestamp("2024-03-31T03:00:00", "Europe/London")).toEqual(
+      new Date("2024-03-31T02:00:00Z")
+    );
+  });
+
+  test("Keeps explicit offsets and rejects what it cannot read", () => {
+    expect(parseTimestamp("2024-08-01T10:15:00Z", "Asia/Tokyo")).toEqual(
+      new Date("2024-08-01T10:15:00Z")
+    );
+    expect(parseTimestamp("2024-13-01T10:15:00", "UTC").getTime()).toBeNaN();
+  });
+});
+
+describe("toWallClock()", () => {
+  test("Formats the clock of the zone", () => {
+    const date = new Date("2024-08-02T22:30:00Z");
+
+    expect(toWallClock(date, "Asia/Tokyo")).toBe("2024-08-03T07:30:00");
+    expect(toWallClock(date, "UTC")).toBe("2024-08-02T22:30:00");
+  });
+});
+
+describe("isValidTimeZone()", () => {
+  test("Knows IANA zone names", () => {
+    expect(isValidTimeZone("Europe/London")).toBe(true);
+    expect(isValidTimeZone("Nowhere/City")).toBe(false);
+    expect(isValidTimeZone("")).toBe(false);
+  });
+});
+
+describe("convertEvents()", () => {
+  const events = [
+    {
+      song_id: "1",
+      timestamp: "2024-08-02T23:30:00",
+      seconds_since_midnight: 84600,
+    },
+  ];
+
+  test("Moves events to another zone's clock", () => {
+    expect(
+      convertEvents(events, {
+        listenerTimeZone: "Europe/London",
+        timeZone: "America/New_York",
+      })
+    ).toEqual([
+      {
+        song_id: "1",
+        timestamp: "2024-08-02T18:30:00",
+        seconds_since_midnight: 66600,
+      },
+    ]);
+  });
+
+  test("Leaves events in their own zone alone", () => {
+    const converted = convertEvents(events, {
+      listenerTimeZone: "Europe/London",
+      timeZone: "Europe/London",
+    });
+
+    expect(converted[0]).toBe(events[0]);
+  });
+});
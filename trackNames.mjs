@@ -0,0 +1,48 @@
+// Artist and title normalisation, so the same track spelled differently by
+// different services ("The Beatles" / "Beatles", "Song (Remastered 2009)" /
+// "Song") ends up as one catalogue entry. Only used to match tracks; the names
+// shown are the ones first imported.
+
+// Accents, case, "&" and punctuation never tell two tracks apart
+function simplify(text) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Featured artists, e.g. "Song (feat. Someone)" or "Artist ft. Someone"
+const FEATURING = /\s*(?:[([]\s*|\s)(?:feat|ft|featuring)\b\.?\s.*$/i;
+
+// Suffixes that label a version of the same recording
+const VERSION_LABELS =
+  /\s*(?:[([]\s*|-\s+)(?:\d{4}\s+)?(?:remaster(?:ed)?|mono|stereo|single version|radio edit|album version)\b.*$/i;
+
+/**
+ * @param {string} artist - An artist name as a service spells it.
+ * @returns {string} e.g. "beatles" for "The Beatles".
+ */
+export function normalizeArtist(artist) {
+  return simplify(artist.replace(FEATURING, "")).replace(/^the /, "");
+}
+
+/**
+ * @param {string} title - A song title as a service spells it.
+ * @returns {string} e.g. "let it be" for "Let It Be - Remastered 2009".
+ */
+export function normalizeTitle(title) {
+  return simplify(title.replace(FEATURING, "").replace(VERSION_LABELS, ""));
+}
+
+/**
+ * The key two spellings of the same track share.
+ * @param {string} artist - The artist name.
+ * @param {string} title - The song title.
+ * @returns {string} The normalised artist and title.
+ */
+export function trackKey(artist, title) {
+  return `${normalizeArtist(artist)} - ${normalizeTitle(title)}`;
+}
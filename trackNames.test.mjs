@@ -0,0 +1,27 @@
+import { describe, test, expect } from "@jest/globals";
+import { normalizeArtist, normalizeTitle, trackKey } from "./trackNames.mjs";
+
+describe("normalizeArtist()", () => {
+  test("Ignores case, accents, a leading 'The' and featured artists", () => {
+    expect(normalizeArtist("The Beatles")).toBe("beatles");
+    expect(normalizeArtist("Beyoncé feat. JAY-Z")).toBe("beyonce");
+    expect(normalizeArtist("Mumford & Sons")).toBe("mumford and sons");
+  });
+});
+
+describe("normalizeTitle()", () => {
+  test("Drops remaster and edit labels", () => {
+    expect(normalizeTitle("Let It Be - Remastered 2009")).toBe("let it be");
+    expect(normalizeTitle("Insomnia (Radio Edit)")).toBe("insomnia");
+    expect(normalizeTitle("Crazy In Love (feat. Jay-Z)")).toBe("crazy in love");
+  });
+});
+
+describe("trackKey()", () => {
+  test("Gives two spellings of the same track the same key", () => {
+    expect(trackKey("Beatles", "Let it be")).toBe(
+      trackKey("The Beatles", "Let It Be - 2009 Remaster")
+    );
+    expect(trackKey("Ft Band", "Left Feet")).toBe("ft band - left feet");
+  });
+});
@@ -0,0 +1,86 @@
+// Song-to-song transitions: which song follows which within a listening session.
+// A transition matrix maps each song key to the songs played right after it
+// and how often, e.g. `{ "A - One": { "B - Two": 3 } }`.
+
+import { pickTop, songKeyOf } from "./stats.mjs";
+
+/**
+ * Counts "song A followed by song B" pairs inside each session.
+ * @param {Array<{songs: object[]}>} sessions - Sessions from `detectSessions`.
+ * @param {object} [options]
+ * @param {boolean} [options.includeRepeats] - Count a song followed by itself.
+ *   Defaults to false, as back-to-back repeats are covered by the streak questions.
+ * @returns {Object<string, Object<string, number>>} The transition matrix.
+ */
+export function buildTransitionMatrix(sessions, options = {}) {
+  const matrix = {};
+
+  for (const { songs } of sessions) {
+    for (let i = 1; i < songs.length; i++) {
+      const from = songKeyOf(songs[i - 1]);
+      const to = songKeyOf(songs[i]);
+      if (from === to && !options.includeRepeats) continue;
+
+      matrix[from] = matrix[from] || {};
+      matrix[from][to] = (matrix[from][to] || 0) + 1;
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Lists the most common transitions.
+ * @param {Object<string, Object<string, number>>} matrix - From `buildTransitionMatrix`.
+ * @param {number} [limit] - How many transitions to keep.
+ * @returns {Array<{from: string, to: string, count: number, probability: number}>}
+ *   Most frequent first; `probability` is the chance `to` follows `from`.
+ */
+export function topTransitions(matrix, limit = Infinity) {
+  return Object.entries(matrix)
+    .flatMap(([from, nextSongs]) => {
+      const total = Object.values(nextSongs).reduce((sum, n) => sum + n, 0);
+      return Object.entries(nextSongs).map(([to, count]) => ({
+        from,
+        to,
+        count,
+        probability: count / total,
+      }));
+    })
+    .sort(
+      (a, b) =>
+        b.count - a.count ||
+        a.from.localeCompare(b.from) ||
+        a.to.localeCompare(b.to)
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Finds the song most likely to be played after a given song.
+ * @param {Object<string, Object<string, number>>} matrix - From `buildTransitionMatrix`.
+ * @param {string} songKey - The song played first.
+ * @returns {{value: string, score: number, ties: string[], probability: number, total: number}}
+ *   The most frequent next songs with how often they followed, out of `total`
+ *   transitions from the song; empty when it was never followed by another one.
+ */
+export function mostLikelyNext(matrix, songKey) {
+  const nextSongs = matrix[songKey] || {};
+  const total = Object.values(nextSongs).reduce((sum, n) => sum + n, 0);
+  const next = pickTop(nextSongs);
+
+  return { ...next, probability: total > 0 ? next.score / total : 0, total };
+}
+
+/**
+ * Builds the transition matrix and the most common transitions of a user.
+ * @param {object} stats - `computeUserStats` result; its sessions are used.
+ * @param {object} [options]
+ * @param {number} [options.limit] - How many top transitions to list. Defaults to 10.
+ * @param {boolean} [options.includeRepeats] - See `buildTransitionMatrix`.
+ * @returns {{matrix: Object<string, Object<string, number>>, top: object[]}}
+ */
+export function computeTransitions(stats, options = {}) {
+  const matrix = buildTransitionMatrix(stats.sessions.list, options);
+  return { matrix, top: topTransitions(matrix, options.limit || 10) };
+}
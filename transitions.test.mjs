@@ -0,0 +1,60 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  buildTransitionMatrix,
+  mostLikelyNext,
+  topTransitions,
+} from "./transitions.mjs";
+
+const one = { artist: "A", title: "One" };
+const two = { artist: "B", title: "Two" };
+const three = { artist: "C", title: "Three" };
+
+const sessions = [
+  { songs: [one, two, two, three] },
+  { songs: [one, two] },
+  { songs: [three, one, three] },
+];
+
+describe("buildTransitionMatrix()", () => {
+  test("Counts consecutive songs within each session", () => {
+    expect(buildTransitionMatrix(sessions)).toEqual({
+      "A - One": { "B - Two": 2, "C - Three": 1 },
+      "B - Two": { "C - Three": 1 },
+      "C - Three": { "A - One": 1 },
+    });
+  });
+
+  test("Counts a song followed by itself only when asked to", () => {
+    const matrix = buildTransitionMatrix(sessions, { includeRepeats: true });
+
+    expect(matrix["B - Two"]).toEqual({ "B - Two": 1, "C - Three": 1 });
+  });
+});
+
+describe("topTransitions()", () => {
+  test("Lists the most frequent transitions with their probability", () => {
+    const top = topTransitions(buildTransitionMatrix(sessions), 2);
+
+    expect(top).toEqual([
+      { from: "A - One", to: "B - Two", count: 2, probability: 2 / 3 },
+      { from: "A - One", to: "C - Three", count: 1, probability: 1 / 3 },
+    ]);
+  });
+});
+
+describe("mostLikelyNext()", () => {
+  test("Finds the song most often played next", () => {
+    const matrix = buildTransitionMatrix(sessions);
+
+    expect(mostLikelyNext(matrix, "A - One")).toMatchObject({
+      value: "B - Two",
+      score: 2,
+      probability: 2 / 3,
+      total: 3,
+    });
+    expect(mostLikelyNext(matrix, "D - Four")).toMatchObject({
+      probability: 0,
+      total: 0,
+    });
+  });
+});
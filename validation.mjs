@@ -0,0 +1,185 @@
+// Dataset integrity checks. A listen event refers to its song by ID and stores
+// its start time twice, as a `timestamp` and as `seconds_since_midnight`, so
+// the two can drift apart. Events the analytics cannot use (an unknown song,
+// an unreadable timestamp, a second copy of the same listen) are errors and
+// are left out; everything else found is a warning and the event is kept.
+
+/**
+ * @typedef {object} DataIssue
+ * @property {"error"|"warning"} severity - Errors mean the event is left out.
+ * @property {string} type - e.g. "unknown-song", see `checkListenEvents`.
+ * @property {string} message - A description to show.
+ * @property {number} [index] - Position of the event in the user's listens.
+ * @property {object} [event] - The event concerned.
+ * @property {string} [userID] - Set by `validateDataset`.
+ * @property {string} [songID] - Set for song issues.
+ */
+
+// Seconds since local midnight, as the analytics read a timestamp
+function secondsSinceMidnight(date) {
+  return date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+}
+
+/**
+ * Checks one user's listen events and keeps the usable ones.
+ * Errors: "missing-song-id", "unknown-song", "invalid-timestamp" and
+ * "duplicate" (the same song at the same time as an earlier event).
+ * Warnings: "time-mismatch" (`seconds_since_midnight` disagrees with the
+ * timestamp) and "out-of-order" (earlier than the event before it).
+ * @param {object[]} events - Listen events.
+ * @param {(songID: string) => object} songLookup - Resolves a song_id to a song.
+ * @returns {{events: object[], issues: DataIssue[]}} The events without errors,
+ *   in their original order, and the issues in event order.
+ */
+export function checkListenEvents(events, songLookup) {
+  const usable = [];
+  const issues = [];
+  const seen = new Map();
+  let latest = null;
+
+  events.forEach((event, index) => {
+    const report = (severity, type, message) =>
+      issues.push({ severity, type, message, index, event });
+
+    if (!event || !event.song_id) {
+      return report("error", "missing-song-id", "Listen has no song_id");
+    }
+    const date = new Date(event.timestamp);
+    if (Number.isNaN(date.getTime())) {
+      return report(
+        "error",
+        "invalid-timestamp",
+        `Invalid timestamp "${event.timestamp}"`
+      );
+    }
+    if (!songLookup(event.song_id)) {
+      return report(
+        "error",
+        "unknown-song",
+        `Unknown song_id "${event.song_id}"`
+      );
+    }
+    const key = `${event.song_id} ${date.getTime()}`;
+    if (seen.has(key)) {
+      return report(
+        "error",
+        "duplicate",
+        `Duplicate of listen ${seen.get(key) + 1}`
+      );
+    }
+    seen.set(key, index);
+
+    if (
+      event.seconds_since_midnight !== undefined &&
+      event.seconds_since_midnight !== secondsSinceMidnight(date)
+    ) {
+      report(
+        "warning",
+        "time-mismatch",
+        `seconds_since_midnight is ${event.seconds_since_midnight}, ` +
+          `the timestamp says ${secondsSinceMidnight(date)}`
+      );
+    }
+    if (latest && date < latest) {
+      report("warning", "out-of-order", "Listed after a later listen");
+    } else {
+      latest = date;
+    }
+
+    usable.push(event);
+  });
+
+  return { events: usable, issues };
+}
+
+// Lists of names, as `genres` and `tags` are
+const isNameList = (value) =>
+  Array.isArray(value) && value.every((name) => typeof name === "string");
+
+// Problems with a song's own fields: the analytics expect an artist, title,
+// genre (or genres) and duration, and the optional metadata in its own type
+function checkSong(song) {
+  const missing = ["artist", "title"].filter((field) => !song[field]);
+  if (!song.genre && !(song.genres?.length > 0)) missing.push("genre");
+  const issues = missing.map((field) => `has no ${field}`);
+  const invalid = (field) =>
+    issues.push(`has an invalid ${field} "${song[field]}"`);
+
+  if (!(Number.isFinite(song.duration_seconds) && song.duration_seconds >= 0)) {
+    invalid("duration_seconds");
+  }
+  if (song.release_year !== undefined && !Number.isInteger(song.release_year)) {
+    invalid("release_year");
+  }
+  if (
+    song.track_number !== undefined &&
+    !(Number.isInteger(song.track_number) && song.track_number > 0)
+  ) {
+    invalid("track_number");
+  }
+  for (const field of ["genres", "tags"]) {
+    if (song[field] !== undefined && !isNameList(song[field])) invalid(field);
+  }
+  return issues;
+}
+
+/**
+ * Checks every user's listens in a data source, and the songs they refer to.
+ * Songs with missing fields or fields of the wrong type (see data.mjs and
+ * `songGenres`) are reported as "invalid-song" warnings, once per song.
+ * @param {object} source - A data source (see dataSource.mjs).
+ * @returns {{
+ *   userCount: number,
+ *   eventCount: number,
+ *   affectedEvents: number,
+ *   errors: DataIssue[],
+ *   warnings: DataIssue[]
+ * }} The report. `affectedEvents` counts the events with at least one issue.
+ */
+export function validateDataset(source) {
+  const userIDs = source.getUserIDs();
+  const errors = [];
+  const warnings = [];
+  const checkedSongs = new Set();
+  let eventCount = 0;
+  let affectedEvents = 0;
+
+  for (const userID of userIDs) {
+    const events = source.getListenEvents(userID) || [];
+    const { issues } = checkListenEvents(events, (songID) =>
+      source.getSong(songID)
+    );
+    eventCount += events.length;
+    affectedEvents += new Set(issues.map(({ index }) => index)).size;
+
+    for (const issue of issues) {
+      (issue.severity === "error" ? errors : warnings).push({
+        ...issue,
+        userID,
+      });
+    }
+
+    for (const event of events) {
+      const song = event?.song_id && source.getSong(event.song_id);
+      if (!song || checkedSongs.has(event.song_id)) continue;
+      checkedSongs.add(event.song_id);
+
+      for (const problem of checkSong(song)) {
+        warnings.push({
+          severity: "warning",
+          type: "invalid-song",
+          message: `Song "${event.song_id}" ${problem}`,
+          songID: event.song_id,
+        });
+      }
+    }
+  }
+
+  return {
+    userCount: userIDs.length,
+    eventCount,
+    affectedEvents,
+    errors,
+    warnings,
+  };
+}
@@ -0,0 +1,117 @@
+import { describe, test, expect } from "@jest/globals";
+import { checkListenEvents, validateDataset } from "./validation.mjs";
+import { createMemorySource } from "./dataSource.mjs";
+
+const songs = {
+  1: {
+    id: "1",
+    artist: "A",
+    title: "One",
+    genre: "Pop",
+    duration_seconds: 100,
+  },
+  2: { id: "2", artist: "B", title: "Two", genre: "Jazz" },
+};
+const songLookup = (id) => songs[id];
+
+const events = [
+  {
+    song_id: "1",
+    timestamp: "2024-08-01T10:00:00",
+    seconds_since_midnight: 36000,
+  },
+  { song_id: "9", timestamp: "2024-08-01T10:05:00" },
+  {
+    song_id: "1",
+    timestamp: "2024-08-01T09:00:00",
+    seconds_since_midnight: 36000,
+  },
+  { song_id: "1", timestamp: "2024-08-01T10:00:00" },
+  { song_id: "2", timestamp: "not a date" },
+  { timestamp: "2024-08-01T11:00:00" },
+];
+
+describe("checkListenEvents()", () => {
+  test("Reports every issue with the event it concerns", () => {
+    const { issues } = checkListenEvents(events, songLookup);
+
+    expect(
+      issues.map(({ severity, type, index }) => [severity, type, index])
+    ).toEqual([
+      ["error", "unknown-song", 1],
+      ["warning", "time-mismatch", 2],
+      ["warning", "out-of-order", 2],
+      ["error", "duplicate", 3],
+      ["error", "invalid-timestamp", 4],
+      ["error", "missing-song-id", 5],
+    ]);
+    expect(issues[3].message).toBe("Duplicate of listen 1");
+  });
+
+  test("Keeps the events without errors, in their original order", () => {
+    const { events: usable } = checkListenEvents(events, songLookup);
+
+    expect(usable).toEqual([events[0], events[2]]);
+  });
+});
+
+describe("validateDataset()", () => {
+  test("Checks the types of the optional song metadata", () => {
+    const source = createMemorySource({
+      songs: [
+        {
+          id: "1",
+          artist: "A",
+          title: "One",
+          genres: ["Folk", "Punk"],
+          duration_seconds: 100,
+          release_year: "1999",
+          track_number: 0,
+          tags: "live",
+        },
+      ],
+      listens: { 1: [{ song_id: "1", timestamp: "2024-08-01T10:00:00" }] },
+    });
+
+    expect(
+      validateDataset(source).warnings.map(({ message }) => message)
+    ).toEqual([
+      'Song "1" has an invalid release_year "1999"',
+      'Song "1" has an invalid track_number "0"',
+      'Song "1" has an invalid tags "live"',
+    ]);
+  });
+
+  test("Counts issues and affected listens across users", () => {
+    const source = createMemorySource({
+      songs: Object.values(songs),
+      listens: {
+        1: events,
+        2: [{ song_id: "2", timestamp: "2024-08-01T10:00:00" }],
+      },
+    });
+
+    const report = validateDataset(source);
+
+    expect(report).toMatchObject({
+      userCount: 2,
+      eventCount: 7,
+      affectedEvents: 5,
+    });
+    expect(report.errors).toHaveLength(4);
+    expect(report.errors[0]).toMatchObject({ userID: "1", index: 1 });
+    expect(report.warnings.map(({ type, message }) => [type, message])).toEqual(
+      [
+        [
+          "time-mismatch",
+          "seconds_since_midnight is 36000, the timestamp says 32400",
+        ],
+        ["out-of-order", "Listed after a later listen"],
+        [
+          "invalid-song",
+          'Song "2" has an invalid duration_seconds "undefined"',
+        ],
+      ]
+    );
+  });
+});